@@ -10,6 +10,14 @@ let currentPage = 1;
 let currentQuery = '';
 let currentChain = '';
 let totalPages = 1;
+let chainsByKey = {};
+
+// Badges for the registrations back-reference check
+const BACKREF_BADGES = {
+  verified: { label: '✓ verified', title: 'Registration file names this agent' },
+  mismatched: { label: '⚠ mismatched', title: 'Registration file names a different agent, registry or chain' },
+  missing: { label: '– unreferenced', title: 'Registration file has no registrations back-reference' }
+};
 
 // DOM Elements
 const agentsContainer = document.getElementById('agents');
@@ -19,6 +27,7 @@ const pagination = document.getElementById('pagination');
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
+  await loadChains();
   await loadStats();
   await loadAgents();
   
@@ -47,6 +56,16 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 });
 
+async function loadChains() {
+  try {
+    const res = await fetch(`${API_BASE}/chains`);
+    const data = await res.json();
+    chainsByKey = Object.fromEntries(data.chains.map(c => [c.key, c]));
+  } catch (err) {
+    console.error('Failed to load chains:', err);
+  }
+}
+
 async function loadStats() {
   try {
     const res = await fetch(`${API_BASE}/stats`);
@@ -100,18 +119,30 @@ function renderAgents(agents) {
     const meta = agent.metadata || {};
     const name = meta.name || agent.name || `Agent #${agent.token_id}`;
     const description = meta.description || '';
-    const chainLabel = agent.chain === 'base' ? '🔵 Base' : '🔷 Ethereum';
+    const chain = chainsByKey[agent.chain];
+    const chainLabel = chain ? `${chain.icon} ${chain.name}` : agent.chain;
+    const owner = agent.owner_ens ? escapeHtml(agent.owner_ens) : truncateAddress(agent.owner);
+    const backref = BACKREF_BADGES[agent.registration_check];
+    const verifiedDomain = agent.verified_domains?.[0];
     
     return `
-      <article class="agent-card" data-id="${agent.token_id}">
+      <article class="agent-card" data-id="${agent.id}">
         <div class="agent-header">
+          ${agent.image_thumbnail
+            ? `<img class="agent-avatar" src="/thumbnails/${encodeURIComponent(agent.image_thumbnail)}" alt="" loading="lazy" width="48" height="48">`
+            : `<span class="agent-avatar agent-avatar-empty">${escapeHtml(name.charAt(0).toUpperCase())}</span>`}
           <h3 class="agent-name">${escapeHtml(name)}</h3>
           <span class="agent-chain">${chainLabel}</span>
         </div>
         ${description ? `<p class="agent-desc">${escapeHtml(truncate(description, 200))}</p>` : ''}
         <div class="agent-footer">
           <code class="agent-id">#${agent.token_id}</code>
-          <span class="agent-owner" title="${agent.owner}">${truncateAddress(agent.owner)}</span>
+          ${backref ? `<span class="agent-backref agent-backref-${agent.registration_check}" title="${backref.title}">${backref.label}</span>` : ''}
+          ${agent.ens_owner_match === false ? `<span class="agent-ens-mismatch" title="${escapeHtml(agent.ens_name)} resolves to ${agent.ens_address}, not the owner">⚠ ${escapeHtml(agent.ens_name)}</span>` : ''}
+          ${verifiedDomain ? `<span class="agent-domain" title="${escapeHtml(agent.verified_domains.join(', '))} confirmed this agent">🔒 ${escapeHtml(verifiedDomain)}</span>` : ''}
+          <span class="agent-owner" title="${agent.owner}">${chain && agent.owner
+            ? `<a href="${chain.explorer}/address/${agent.owner}" target="_blank" rel="noopener">${owner}</a>`
+            : owner}</span>
         </div>
       </article>
     `;
@@ -1,13 +1,19 @@
 /**
- * GET /api/agent/:id - Get single agent by token ID
+ * GET /api/agent/:id - Get single agent
+ *
+ * :id is the chain-scoped agent ID (eip155:8453:500). A bare token ID is
+ * still accepted when it only exists on one chain.
  */
 
+import { parseAgentId } from '../../../lib/agent-id.js';
+
 const CACHE_TTL = 86400; // 24 hours - agent data rarely changes
 const STALE_TTL = 604800; // 7 days stale-while-revalidate
+const FEEDBACK_LIMIT = 100; // most recent feedback entries returned
 
 export async function onRequest(context) {
   const { request, env, params } = context;
-  const tokenId = params.id;
+  const id = params.id;
   
   // Check cache first
   const cacheKey = new Request(request.url, request);
@@ -19,9 +25,33 @@ export async function onRequest(context) {
   }
   
   try {
-    const agent = await env.DB.prepare(
-      'SELECT * FROM agents WHERE token_id = ?'
-    ).bind(tokenId).first();
+    let agent;
+    
+    if (parseAgentId(id)) {
+      agent = await env.DB.prepare(
+        'SELECT * FROM agents WHERE id = ?'
+      ).bind(id).first();
+    } else if (/^\d+$/.test(id)) {
+      const matches = await env.DB.prepare(
+        'SELECT * FROM agents WHERE token_id = ?'
+      ).bind(id).all();
+      
+      if (matches.results.length > 1) {
+        return new Response(JSON.stringify({
+          error: 'Token ID exists on more than one chain',
+          candidates: matches.results.map(a => a.id)
+        }), {
+          status: 409,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+      agent = matches.results[0];
+    } else {
+      return new Response(JSON.stringify({ error: 'Invalid agent ID' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
     
     if (!agent) {
       return new Response(JSON.stringify({ error: 'Agent not found' }), {
@@ -30,9 +60,133 @@ export async function onRequest(context) {
       });
     }
     
+    const transfers = await env.DB.prepare(`
+      SELECT block_number, log_index, tx_hash, from_address, to_address
+      FROM agent_transfers
+      WHERE agent_id = ?
+      ORDER BY block_number, log_index
+    `).bind(agent.id).all();
+    
+    const reputation = await env.DB.prepare(
+      'SELECT * FROM agent_reputation WHERE agent_id = ?'
+    ).bind(agent.id).first();
+    
+    const feedback = await env.DB.prepare(`
+      SELECT client_address, feedback_index, value, value_decimals, score, tag1, tag2,
+             endpoint, feedback_uri, block_number, tx_hash, revoked
+      FROM feedback
+      WHERE agent_id = ?
+      ORDER BY block_number DESC
+      LIMIT ?
+    `).bind(agent.id, FEEDBACK_LIMIT).all();
+    
+    const validation = await env.DB.prepare(
+      'SELECT * FROM agent_validation WHERE agent_id = ?'
+    ).bind(agent.id).first();
+    
+    const validations = await env.DB.prepare(`
+      SELECT * FROM validations
+      WHERE agent_id = ?
+      ORDER BY COALESCE(response_block, request_block) DESC
+    `).bind(agent.id).all();
+    
+    const rawMetadata = agent.metadata_json ? JSON.parse(agent.metadata_json) : null;
+    const metadata = agent.normalized_json ? JSON.parse(agent.normalized_json) : rawMetadata;
+    
     const data = {
       ...agent,
-      metadata: agent.metadata_json ? JSON.parse(agent.metadata_json) : null
+      removed: Boolean(agent.removed),
+      active: Boolean(agent.active),
+      x402Support: Boolean(agent.x402_support),
+      services: agent.services ? JSON.parse(agent.services) : [],
+      registeredBlock: agent.registered_block,
+      txHash: agent.tx_hash,
+      metadata,
+      rawMetadata,
+      metadataSources: agent.metadata_sources ? JSON.parse(agent.metadata_sources) : null,
+      registrationCheck: agent.registration_check ? {
+        status: agent.registration_check,
+        entries: agent.registration_refs ? JSON.parse(agent.registration_refs) : []
+      } : null,
+      domainVerification: agent.domain_checks ? {
+        verified: agent.verified_domains ? JSON.parse(agent.verified_domains) : [],
+        domains: JSON.parse(agent.domain_checks)
+      } : null,
+      image: agent.image_status ? {
+        url: metadata?.image || null,
+        status: agent.image_status,
+        thumbnail: agent.image_thumbnail ? `/thumbnails/${agent.image_thumbnail}` : null,
+        error: agent.image_error
+      } : null,
+      ownerEns: agent.owner_ens,
+      ens: agent.ens_name ? {
+        name: agent.ens_name,
+        address: agent.ens_address,
+        matchesOwner: agent.ens_owner_match === null ? null : Boolean(agent.ens_owner_match)
+      } : null,
+      live: Boolean(agent.live),
+      a2aCard: agent.a2a_card ? JSON.parse(agent.a2a_card) : null,
+      mcp: agent.mcp_json ? JSON.parse(agent.mcp_json) : null,
+      health: agent.last_probed_at ? {
+        live: Boolean(agent.live),
+        uptime: agent.uptime,
+        lastSeenUp: agent.last_seen_up,
+        lastProbedAt: agent.last_probed_at
+      } : null,
+      compliance: agent.compliance ? {
+        level: agent.compliance,
+        issues: agent.compliance_issues ? JSON.parse(agent.compliance_issues) : []
+      } : null,
+      ownerHistory: transfers.results.map(t => ({
+        from: t.from_address,
+        to: t.to_address,
+        blockNumber: t.block_number,
+        logIndex: t.log_index,
+        txHash: t.tx_hash
+      })),
+      reputation: {
+        count: reputation?.feedback_count || 0,
+        revoked: reputation?.revoked_count || 0,
+        clients: reputation?.client_count || 0,
+        meanScore: reputation?.mean_score ?? null,
+        recentMeanScore: reputation?.recent_mean_score ?? null,
+        trend: reputation?.trend ?? null
+      },
+      feedback: feedback.results.map(f => ({
+        client: f.client_address,
+        feedbackIndex: f.feedback_index,
+        value: f.value,
+        valueDecimals: f.value_decimals,
+        score: f.score,
+        tag1: f.tag1,
+        tag2: f.tag2,
+        endpoint: f.endpoint,
+        feedbackUri: f.feedback_uri,
+        blockNumber: f.block_number,
+        txHash: f.tx_hash,
+        revoked: Boolean(f.revoked)
+      })),
+      validation: {
+        status: validation?.status || 'none',
+        requests: validation?.request_count || 0,
+        responded: validation?.response_count || 0,
+        pending: validation?.pending_count || 0,
+        validators: validation?.validator_count || 0,
+        meanResponse: validation?.mean_response ?? null,
+        latestResponse: validation?.latest_response ?? null,
+        supportedTrust: metadata?.supportedTrust || []
+      },
+      validations: validations.results.map(v => ({
+        requestHash: v.request_hash,
+        validator: v.validator_address,
+        requestUri: v.request_uri,
+        requestedAt: v.request_block ? { blockNumber: v.request_block, txHash: v.request_tx } : null,
+        response: v.response,
+        responseUri: v.response_uri,
+        responseHash: v.response_hash,
+        tag: v.tag,
+        respondedAt: v.response_block ? { blockNumber: v.response_block, txHash: v.response_tx } : null
+      }))
     };
     
     response = new Response(JSON.stringify(data), {
@@ -4,10 +4,22 @@
  * Query params:
  *   page (default: 1)
  *   limit (default: 50, max: 100)
- *   q (search query)
- *   chain (filter: ethereum, base)
+ *   q (search query: name, description, A2A skills; a .eth name matches
+ *     the owner's ENS name or the agent's ENS service)
+ *   chain (filter: chain key or chain ID from lib/chains.js)
+ *   compliance (filter: compliant, partial, non_compliant, invalid)
+ *   registration (filter: verified, mismatched, missing back-reference)
+ *   domain_verified (filter: 1 for agents with a verified endpoint domain)
+ *   domain (filter: agents verified for this host)
+ *   live (filter: 1 for agents with an endpoint up at the latest probe)
+ *   skill (filter: A2A skill ID, name or tag, case-insensitive)
+ *   tool (filter: MCP tool name containing this text, case-insensitive)
+ *   include_removed (1 to also list burned agents, left out by default)
  */
 
+import { getChain } from '../../lib/chains.js';
+import { COMPLIANCE_LEVELS, BACKREF_STATUSES } from '../../lib/registration.js';
+
 const CACHE_TTL = 3600; // 1 hour
 const STALE_TTL = 86400; // 24 hours for stale-while-revalidate
 
@@ -29,40 +41,135 @@ export async function onRequest(context) {
   const limit = Math.min(100, Math.max(1, parseInt(url.searchParams.get('limit') || '50')));
   const offset = (page - 1) * limit;
   const query = url.searchParams.get('q')?.trim();
-  const chain = url.searchParams.get('chain');
+  // ENS names are stored lowercased; full-text search would split them at the dot
+  const ensQuery = /^([^\s./:@]+\.)+eth$/i.test(query || '') ? query.toLowerCase() : null;
+  const chainParam = url.searchParams.get('chain');
+  const chain = chainParam ? getChain(chainParam)?.key : null;
+  
+  const compliance = url.searchParams.get('compliance');
+  const registration = url.searchParams.get('registration');
+  const live = url.searchParams.get('live');
+  const domainVerified = url.searchParams.get('domain_verified');
+  const domain = url.searchParams.get('domain')?.trim().toLowerCase();
+  const skill = url.searchParams.get('skill')?.trim();
+  const tool = url.searchParams.get('tool')?.trim();
+  const includeRemoved = url.searchParams.get('include_removed');
+  
+  if (chainParam && !chain) {
+    return new Response(JSON.stringify({ error: `Unknown chain: ${chainParam}` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  if (compliance && !COMPLIANCE_LEVELS.includes(compliance)) {
+    return new Response(JSON.stringify({ error: `Unknown compliance level: ${compliance}` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  if (registration && !BACKREF_STATUSES.includes(registration)) {
+    return new Response(JSON.stringify({ error: `Unknown registration status: ${registration}` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  if (live && live !== '1' && live !== 'true') {
+    return new Response(JSON.stringify({ error: 'live must be 1' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
   
-  let sql, params;
+  if (domainVerified && domainVerified !== '1' && domainVerified !== 'true') {
+    return new Response(JSON.stringify({ error: 'domain_verified must be 1' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
   
-  if (query) {
-    // Full-text search
-    sql = `
-      SELECT a.* FROM agents a
-      JOIN agents_fts fts ON a.token_id = fts.token_id
-      WHERE agents_fts MATCH ?
-      ${chain ? 'AND a.chain = ?' : ''}
-      ORDER BY rank
-      LIMIT ? OFFSET ?
-    `;
-    params = chain ? [query, chain, limit, offset] : [query, limit, offset];
-  } else {
-    // Regular listing
-    sql = `
-      SELECT * FROM agents
-      ${chain ? 'WHERE chain = ?' : ''}
-      ORDER BY created_at DESC
-      LIMIT ? OFFSET ?
-    `;
-    params = chain ? [chain, limit, offset] : [limit, offset];
+  if (includeRemoved && includeRemoved !== '1' && includeRemoved !== 'true') {
+    return new Response(JSON.stringify({ error: 'include_removed must be 1' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Filters shared by the listing and the count
+  const filters = [];
+  const filterParams = [];
+  if (!includeRemoved) {
+    filters.push('a.removed = 0');
+  }
+  if (ensQuery) {
+    filters.push('(a.owner_ens = ? OR a.ens_name = ?)');
+    filterParams.push(ensQuery, ensQuery);
+  } else if (query) {
+    filters.push('agents_fts MATCH ?');
+    filterParams.push(query);
+  }
+  if (chain) {
+    filters.push('a.chain = ?');
+    filterParams.push(chain);
   }
+  if (compliance) {
+    filters.push('a.compliance = ?');
+    filterParams.push(compliance);
+  }
+  if (registration) {
+    filters.push('a.registration_check = ?');
+    filterParams.push(registration);
+  }
+  if (live) {
+    filters.push('a.live = 1');
+  }
+  if (domainVerified) {
+    filters.push('a.domain_verified = 1');
+  }
+  if (domain) {
+    filters.push('EXISTS (SELECT 1 FROM json_each(a.verified_domains) d WHERE d.value = ? COLLATE NOCASE)');
+    filterParams.push(domain);
+  }
+  if (skill) {
+    filters.push(`EXISTS (
+      SELECT 1 FROM agent_skills s
+      WHERE s.agent_id = a.id AND (
+        s.skill_id = ? COLLATE NOCASE OR s.name = ? COLLATE NOCASE OR
+        EXISTS (SELECT 1 FROM json_each(s.tags) t WHERE t.value = ? COLLATE NOCASE)
+      )
+    )`);
+    filterParams.push(skill, skill, skill);
+  }
+  if (tool) {
+    filters.push(`EXISTS (
+      SELECT 1 FROM agent_tools t
+      WHERE t.agent_id = a.id AND t.kind = 'tool' AND t.name LIKE ? ESCAPE '\\'
+    )`);
+    filterParams.push(`%${tool.replace(/[\\%_]/g, c => `\\${c}`)}%`);
+  }
+  
+  const from = query && !ensQuery
+    ? 'agents a JOIN agents_fts fts ON fts.rowid = a.rowid'
+    : 'agents a';
+  const where = filters.length ? `WHERE ${filters.join(' AND ')}` : '';
+  
+  // Full-text search ranks by relevance, plain listing by newest
+  const sql = `
+    SELECT a.* FROM ${from}
+    ${where}
+    ORDER BY ${query && !ensQuery ? 'rank' : 'a.created_at DESC'}
+    LIMIT ? OFFSET ?
+  `;
+  const params = [...filterParams, limit, offset];
   
   try {
     const results = await env.DB.prepare(sql).bind(...params).all();
     
     // Get total count
-    let countSql = query 
-      ? `SELECT COUNT(*) as total FROM agents_fts WHERE agents_fts MATCH ?`
-      : `SELECT COUNT(*) as total FROM agents ${chain ? 'WHERE chain = ?' : ''}`;
-    let countParams = query ? [query] : (chain ? [chain] : []);
+    const countSql = `SELECT COUNT(*) as total FROM ${from} ${where}`;
+    const countParams = filterParams;
     
     const countResult = await env.DB.prepare(countSql).bind(...countParams).first();
     const total = countResult?.total || 0;
@@ -70,7 +177,21 @@ export async function onRequest(context) {
     const data = {
       agents: results.results.map(a => ({
         ...a,
-        metadata: a.metadata_json ? JSON.parse(a.metadata_json) : null
+        // Canonical field names; rows synced before normalization fall back to the raw file
+        metadata: JSON.parse(a.normalized_json || a.metadata_json || 'null'),
+        metadata_sources: a.metadata_sources ? JSON.parse(a.metadata_sources) : null,
+        active: Boolean(a.active),
+        removed: Boolean(a.removed),
+        x402_support: Boolean(a.x402_support),
+        services: a.services ? JSON.parse(a.services) : [],
+        compliance_issues: a.compliance_issues ? JSON.parse(a.compliance_issues) : [],
+        registration_refs: a.registration_refs ? JSON.parse(a.registration_refs) : [],
+        verified_domains: a.verified_domains ? JSON.parse(a.verified_domains) : [],
+        domain_checks: a.domain_checks ? JSON.parse(a.domain_checks) : [],
+        live: Boolean(a.live),
+        ens_owner_match: a.ens_owner_match === null ? null : Boolean(a.ens_owner_match),
+        a2a_card: a.a2a_card ? JSON.parse(a.a2a_card) : null,
+        mcp: a.mcp_json ? JSON.parse(a.mcp_json) : null
       })),
       pagination: {
         page,
@@ -0,0 +1,43 @@
+/**
+ * GET /api/chains - Indexed chains, registry addresses and explorers
+ */
+
+import { CHAINS, publicChainInfo } from '../../lib/chains.js';
+
+const CACHE_TTL = 86400; // 24 hours - only changes on deploy
+const STALE_TTL = 604800; // 7 days stale-while-revalidate
+
+export async function onRequest(context) {
+  const { request } = context;
+  
+  // Check cache first
+  const cacheKey = new Request(request.url, request);
+  const cache = caches.default;
+  let response = await cache.match(cacheKey);
+  
+  if (response) {
+    return response;
+  }
+  
+  try {
+    const data = { chains: CHAINS.map(publicChainInfo) };
+    
+    response = new Response(JSON.stringify(data), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': `public, max-age=${CACHE_TTL}, stale-while-revalidate=${STALE_TTL}`,
+        'CDN-Cache-Control': `public, max-age=${CACHE_TTL}`,
+        'Vary': 'Accept-Encoding'
+      }
+    });
+    
+    context.waitUntil(cache.put(cacheKey, response.clone()));
+    
+    return response;
+  } catch (err) {
+    return new Response(JSON.stringify({ error: err.message }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
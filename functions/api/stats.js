@@ -2,6 +2,8 @@
  * GET /api/stats - Registry statistics
  */
 
+import { CHAINS } from '../../lib/chains.js';
+
 const CACHE_TTL = 300; // 5 minutes for stats
 const STALE_TTL = 3600; // 1 hour stale-while-revalidate
 
@@ -18,14 +20,22 @@ export async function onRequest(context) {
   }
   
   try {
-    // Get counts by chain
-    const stats = await env.DB.prepare(`
-      SELECT 
-        COUNT(*) as total,
-        SUM(CASE WHEN chain = 'ethereum' THEN 1 ELSE 0 END) as ethereum,
-        SUM(CASE WHEN chain = 'base' THEN 1 ELSE 0 END) as base
+    // Get counts by chain; burned agents are counted apart, as /api/agents
+    // leaves them out by default
+    const counts = await env.DB.prepare(`
+      SELECT chain, SUM(removed = 0) as total, SUM(removed != 0) as removed
       FROM agents
-    `).first();
+      GROUP BY chain
+    `).all();
+    
+    const byChain = Object.fromEntries(CHAINS.map(c => [c.key, 0]));
+    let total = 0;
+    let removed = 0;
+    for (const row of counts.results) {
+      byChain[row.chain] = row.total;
+      total += row.total;
+      removed += row.removed;
+    }
     
     // Get last sync time
     const syncState = await env.DB.prepare(
@@ -34,18 +44,17 @@ export async function onRequest(context) {
     
     // Get recent agents
     const recent = await env.DB.prepare(`
-      SELECT token_id, name, chain, created_at 
+      SELECT id, token_id, name, chain, created_at 
       FROM agents 
+      WHERE removed = 0
       ORDER BY created_at DESC 
       LIMIT 10
     `).all();
     
     const data = {
-      total: stats?.total || 0,
-      byChain: {
-        ethereum: stats?.ethereum || 0,
-        base: stats?.base || 0
-      },
+      total,
+      byChain,
+      removed,
       lastSync: syncState?.value || null,
       recent: recent.results
     };
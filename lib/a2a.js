@@ -0,0 +1,118 @@
+/**
+ * A2A agent cards
+ *
+ * An A2A service's endpoint is either the agent card itself
+ * (/.well-known/agent-card.json, or agent.json from earlier drafts) or the
+ * agent's base URL, whose card lives at /.well-known/agent-card.json.
+ * parseAgentCard keeps the parts the catalog shows and searches: identity,
+ * skills, input/output modes, auth schemes and protocol version.
+ */
+
+import { safeFetch } from './fetcher.js';
+
+export const AGENT_CARD_PATH = '/.well-known/agent-card.json';
+
+const AGENT_CARD = /\/(\.well-known\/)?(agent-card|agent)\.json$/;
+
+const JSON_TYPES = /^(application\/([\w.-]+\+)?json|text\/json|text\/plain|application\/octet-stream)$/;
+
+// Cards are small; the largest seen are a few hundred skills
+const CARD_MAX_BYTES = 512 * 1024;
+
+/**
+ * Where the agent card for an A2A endpoint lives
+ */
+export function agentCardUrl(endpoint) {
+  const url = new URL(endpoint);
+  if (AGENT_CARD.test(url.pathname)) return url.href;
+  return new URL(AGENT_CARD_PATH, url).href;
+}
+
+function text(value, max = 1000) {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null;
+}
+
+function strings(value) {
+  return Array.isArray(value) ? [...new Set(value.filter(v => typeof v === 'string' && v.trim()).map(v => v.trim()))] : [];
+}
+
+/**
+ * Auth scheme names from securitySchemes (OpenAPI-style, v0.2+) or the older
+ * authentication.schemes list, e.g. ['bearer', 'oauth2']
+ */
+function authSchemes(card) {
+  const schemes = [];
+  if (card.securitySchemes && typeof card.securitySchemes === 'object') {
+    for (const [name, scheme] of Object.entries(card.securitySchemes)) {
+      schemes.push(text(scheme?.scheme) || text(scheme?.type) || name);
+    }
+  }
+  schemes.push(...strings(card.authentication?.schemes));
+  return [...new Set(schemes.map(s => s.toLowerCase()))];
+}
+
+function parseSkill(skill, i) {
+  if (!skill || typeof skill !== 'object') return null;
+  const name = text(skill.name, 200);
+  const id = text(skill.id, 200) || name || `skill-${i}`;
+  return {
+    id,
+    name: name || id,
+    description: text(skill.description),
+    tags: strings(skill.tags),
+    examples: strings(skill.examples).slice(0, 5),
+    inputModes: strings(skill.inputModes),
+    outputModes: strings(skill.outputModes)
+  };
+}
+
+/**
+ * Reduce a raw agent card to the fields we keep. Throws SyntaxError if it
+ * isn't an object.
+ */
+export function parseAgentCard(card) {
+  if (!card || typeof card !== 'object' || Array.isArray(card)) {
+    throw new SyntaxError('Agent card is not a JSON object');
+  }
+  return {
+    name: text(card.name, 200),
+    description: text(card.description),
+    url: text(card.url, 500),
+    version: text(card.version, 50),
+    protocolVersion: text(card.protocolVersion, 50),
+    provider: text(card.provider?.organization, 200),
+    skills: (Array.isArray(card.skills) ? card.skills : []).map(parseSkill).filter(Boolean),
+    inputModes: strings(card.defaultInputModes),
+    outputModes: strings(card.defaultOutputModes),
+    authSchemes: authSchemes(card),
+    capabilities: Object.entries(card.capabilities || {})
+      .filter(([, enabled]) => enabled === true)
+      .map(([name]) => name)
+  };
+}
+
+/**
+ * Fetch and parse the agent card behind an A2A endpoint. Resolves to
+ * { card, source: { url, status } }; fetch and parse errors are thrown.
+ */
+export async function fetchAgentCard(endpoint, { allowPrivate = false } = {}) {
+  const res = await safeFetch(agentCardUrl(endpoint), {
+    accept: JSON_TYPES,
+    maxBytes: CARD_MAX_BYTES,
+    allowPrivate
+  });
+  return {
+    card: parseAgentCard(JSON.parse(res.text.replace(/^\uFEFF/, ''))),
+    source: { url: res.url, status: res.status }
+  };
+}
+
+/**
+ * Skill names, tags and descriptions as one string, for full-text search
+ */
+export function skillSearchText(card) {
+  return (card?.skills || [])
+    .flatMap(s => [s.name, ...s.tags, s.description])
+    .filter(Boolean)
+    .join(' ');
+}
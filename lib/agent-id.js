@@ -0,0 +1,61 @@
+/**
+ * Chain-scoped agent identity
+ *
+ * Token IDs are only unique per registry deployment, so every agent is keyed
+ * by a CAIP-style identifier: eip155:<chainId>:<tokenId>
+ */
+
+import { CHAINS } from './chains.js';
+
+export const CHAIN_IDS = Object.fromEntries(CHAINS.map(c => [c.key, c.chainId]));
+
+export const CHAIN_NAMES = Object.fromEntries(CHAINS.map(c => [c.chainId, c.key]));
+
+const AGENT_ID_PATTERN = /^eip155:(\d+):(\d+)$/;
+
+export function formatAgentId(chainId, tokenId) {
+  return `eip155:${chainId}:${tokenId}`;
+}
+
+/**
+ * Parse an agent identifier. Returns null for anything that is not a
+ * well-formed eip155:<chainId>:<tokenId> string.
+ */
+export function parseAgentId(value) {
+  const match = AGENT_ID_PATTERN.exec(String(value ?? '').trim());
+  if (!match) return null;
+  return {
+    chainId: Number(match[1]),
+    tokenId: match[2]
+  };
+}
+
+const ACCOUNT_ID_PATTERN = /^([-a-z0-9]{3,8}):([-_a-zA-Z0-9]{1,32}):([-.%a-zA-Z0-9]{1,128})$/;
+
+/**
+ * Parse a CAIP-10 account ID such as eip155:1:0x8004...a432. Returns
+ * { namespace, chainId, address } (chainId a number for eip155, addresses
+ * lower-cased), or null if it isn't one.
+ */
+export function parseAccountId(value) {
+  const match = ACCOUNT_ID_PATTERN.exec(String(value ?? '').trim());
+  if (!match) return null;
+  const [, namespace, reference, address] = match;
+  if (namespace !== 'eip155') return { namespace, chainId: reference, address };
+  if (!/^\d+$/.test(reference) || !/^0x[0-9a-fA-F]{40}$/.test(address)) return null;
+  return { namespace, chainId: Number(reference), address: address.toLowerCase() };
+}
+
+export function chainIdFor(chain) {
+  return CHAIN_IDS[chain] ?? null;
+}
+
+/**
+ * Sort newest token first, then by chain, so listings stay stable
+ */
+export function compareAgentIds(a, b) {
+  const pa = parseAgentId(a);
+  const pb = parseAgentId(b);
+  const byToken = Number(pb.tokenId) - Number(pa.tokenId);
+  return byToken !== 0 ? byToken : pa.chainId - pb.chainId;
+}
@@ -0,0 +1,170 @@
+/**
+ * Agent registration URIs
+ *
+ * tokenURI points at the registration JSON in many ways: inline data: URIs
+ * (base64 or percent-encoded, any mediatype or charset), raw JSON, http(s),
+ * ipfs://, ipns://, ar://, bare IPFS CIDs and gateway URLs with a CID in
+ * them. resolveAgentURI turns any of those into inline JSON text or a list of
+ * URLs to try in order; fetchAgentURI fetches (through lib/fetcher.js) and
+ * parses.
+ */
+
+import { safeFetch } from './fetcher.js';
+
+export const IPFS_GATEWAYS = [
+  'https://ipfs.io',
+  'https://cloudflare-ipfs.com',
+  'https://gateway.pinata.cloud'
+];
+
+export const ARWEAVE_GATEWAYS = [
+  'https://arweave.net',
+  'https://ar-io.net'
+];
+
+// Gateways often serve raw JSON files as text/plain or octet-stream
+const JSON_TYPES = /^(application\/([\w.-]+\+)?json|text\/json|text\/plain|application\/octet-stream)$/;
+
+// CIDv0 (Qm...) or base32 CIDv1 (bafy..., bafk...), optionally with a sub-path
+const CID_PATH = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})(\/[^?#]*)?$/;
+
+export class UnsupportedURIError extends Error {
+  constructor(uri) {
+    const scheme = uri.match(/^([a-z][a-z0-9+.-]*):/i)?.[1];
+    super(scheme ? `Unsupported URI scheme: ${scheme}` : `Unsupported URI: ${uri.slice(0, 60)}`);
+    this.name = 'UnsupportedURIError';
+  }
+}
+
+/**
+ * Decode the payload of a data: URI to text, whatever its mediatype.
+ * data:[<mediatype>][;charset=<charset>][;base64],<data>
+ */
+export function decodeDataURI(uri) {
+  const comma = uri.indexOf(',');
+  if (comma === -1) throw new SyntaxError('Malformed data: URI');
+
+  const params = uri.slice(5, comma).split(';').map(p => p.trim().toLowerCase());
+  const body = uri.slice(comma + 1);
+
+  if (params.includes('base64')) {
+    const charset = params.find(p => p.startsWith('charset='))?.slice(8) || 'utf-8';
+    const bytes = Buffer.from(safeDecode(body), 'base64');
+    let decoder;
+    try {
+      decoder = new TextDecoder(charset);
+    } catch {
+      decoder = new TextDecoder('utf-8');
+    }
+    return decoder.decode(bytes);
+  }
+  return safeDecode(body);
+}
+
+// Percent-decode, leaving text with stray % signs (raw JSON) untouched
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+function ipfsUrls(path) {
+  return IPFS_GATEWAYS.map(gw => `${gw}/ipfs/${path}`);
+}
+
+/**
+ * CID and sub-path from a gateway URL, either path style
+ * (https://gw/ipfs/<cid>/x) or subdomain style (https://<cid>.ipfs.gw/x)
+ */
+function gatewayCidPath(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const pathStyle = parsed.pathname.match(/^\/ipfs\/(.+)$/);
+  if (pathStyle && CID_PATH.test(pathStyle[1])) return pathStyle[1];
+
+  const subdomain = parsed.hostname.match(/^([a-z0-9]+)\.ipfs\./i);
+  if (subdomain) {
+    const path = `${subdomain[1]}${parsed.pathname === '/' ? '' : parsed.pathname}`;
+    if (CID_PATH.test(path)) return path;
+  }
+  return null;
+}
+
+/**
+ * Work out where a registration lives: { json } for inline content, or
+ * { urls } to fetch in order. Throws UnsupportedURIError for anything else.
+ */
+export function resolveAgentURI(uri) {
+  const value = uri.trim();
+
+  if (value.startsWith('{')) return { json: value };
+
+  const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i)?.[1].toLowerCase();
+  const rest = value.slice((scheme?.length || 0) + 1).replace(/^\/\//, '');
+
+  switch (scheme) {
+    case 'data':
+      return { json: decodeDataURI(value) };
+    case 'http':
+    case 'https': {
+      // The original gateway first, then ours in case it's down
+      const cidPath = gatewayCidPath(value);
+      const urls = cidPath ? [value, ...ipfsUrls(cidPath)] : [value];
+      return { urls: [...new Set(urls)] };
+    }
+    case 'ipfs':
+      return { urls: ipfsUrls(rest.replace(/^ipfs\//, '')) };
+    case 'ipns':
+      return { urls: IPFS_GATEWAYS.map(gw => `${gw}/ipns/${rest.replace(/^ipns\//, '')}`) };
+    case 'ar':
+      return { urls: ARWEAVE_GATEWAYS.map(gw => `${gw}/${rest}`) };
+    case undefined:
+      if (CID_PATH.test(value)) return { urls: ipfsUrls(value) };
+  }
+
+  throw new UnsupportedURIError(value);
+}
+
+function parseRegistration(text) {
+  const metadata = JSON.parse(text.replace(/^\uFEFF/, ''));
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new SyntaxError('Registration is not a JSON object');
+  }
+  return metadata;
+}
+
+/**
+ * Resolve, fetch and parse a registration. Each URL is tried in turn and the
+ * last failure is thrown if none of them returns JSON. Resolves to
+ * { metadata, source }, where source is the { url, status } that answered
+ * (null for inline registrations).
+ */
+export async function fetchAgentURI(uri) {
+  if (!uri) return { metadata: {}, source: null };
+
+  const resolved = resolveAgentURI(uri);
+  if (resolved.json !== undefined) {
+    return { metadata: parseRegistration(resolved.json), source: null };
+  }
+
+  let lastError;
+  for (const url of resolved.urls) {
+    try {
+      const res = await safeFetch(url, { accept: JSON_TYPES });
+      return { metadata: parseRegistration(res.text), source: { url: res.url, status: res.status } };
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+export async function parseAgentURI(uri) {
+  return (await fetchAgentURI(uri)).metadata;
+}
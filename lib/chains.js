@@ -0,0 +1,129 @@
+/**
+ * Chain configuration
+ *
+ * Every chain the catalog scans is described here: where its registries live,
+ * where scanning starts, how wide each getLogs range is, how deep reorgs can
+ * go, which public RPCs to use and where to link for explorer pages. Adding a
+ * chain (or a testnet) is a new entry here; the sync scripts, API and
+ * frontend all read from this list.
+ *
+ * RPC entries are URLs, or { url, budget } to cap the requests a run sends
+ * to that provider (see lib/rpc-pool.js). RPC lists can be overridden per
+ * chain with RPC_URLS_<chainId>=url1,url2.
+ * `multicall3` is the chain's Multicall3 deployment, which batches token
+ * reads (see lib/multicall.js); chains without one are read call by call.
+ */
+
+export const CHAINS = [
+  {
+    key: 'ethereum',
+    chainId: 1,
+    name: 'Ethereum',
+    icon: '🔷',
+    registries: {
+      identity: '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432',
+      reputation: '0x8004BAa17C55a88189AE136b182e5fdA19dE9b63',
+      validation: '0x8004Cc8439f36fd5F9F049D9fF86523Df6dAAB58'
+    },
+    multicall3: '0xcA11bde05977b3631167028862bE2a173976CA11',
+    // Contract around block 24340000; start earlier to catch all mints
+    deploymentBlock: 21000000,
+    blockChunk: 5000,
+    // Blocks behind head before a log counts as final, and how far back each
+    // sync re-checks already-scanned blocks for reorgs
+    confirmations: 12,
+    reorgDepth: 64,
+    rpcs: [
+      'https://ethereum-rpc.publicnode.com',
+      'https://eth.llamarpc.com',
+      'https://1rpc.io/eth',
+      'https://eth.drpc.org'
+    ],
+    explorer: 'https://etherscan.io'
+  },
+  {
+    key: 'base',
+    chainId: 8453,
+    name: 'Base',
+    icon: '🔵',
+    registries: {
+      identity: '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432',
+      reputation: '0x8004BAa17C55a88189AE136b182e5fdA19dE9b63',
+      validation: '0x8004Cc8439f36fd5F9F049D9fF86523Df6dAAB58'
+    },
+    multicall3: '0xcA11bde05977b3631167028862bE2a173976CA11',
+    // Contract around block 41500000
+    deploymentBlock: 41500000,
+    blockChunk: 10000,
+    confirmations: 30,
+    reorgDepth: 300,
+    rpcs: [
+      'https://base.llamarpc.com',
+      'https://base-rpc.publicnode.com',
+      'https://base.drpc.org',
+      'https://1rpc.io/base',
+      'https://base.meowrpc.com'
+    ],
+    explorer: 'https://basescan.org'
+  }
+];
+
+const byKey = new Map(CHAINS.map(c => [c.key, c]));
+const byId = new Map(CHAINS.map(c => [c.chainId, c]));
+
+export function getChain(keyOrId) {
+  return byKey.get(keyOrId) || byId.get(Number(keyOrId)) || null;
+}
+
+/**
+ * RPC providers for a chain as [{ url, budget }], honouring the
+ * RPC_URLS_<chainId> override (whose providers have no budget of their own).
+ * Only meaningful in Node; the Pages Functions never talk to RPCs.
+ */
+export function rpcProviders(chain, env = globalThis.process?.env || {}) {
+  const override = env[`RPC_URLS_${chain.chainId}`];
+  const entries = override ? override.split(',').map(u => u.trim()).filter(Boolean) : chain.rpcs;
+  return entries.map(entry => typeof entry === 'string' ? { url: entry, budget: null } : entry);
+}
+
+/**
+ * RPC URLs for a chain, honouring the RPC_URLS_<chainId> override
+ */
+export function rpcUrls(chain, env) {
+  return rpcProviders(chain, env).map(p => p.url);
+}
+
+/**
+ * Chains selected for this run: all of them, or the comma-separated keys or
+ * chain IDs in SYNC_CHAINS
+ */
+export function selectedChains(env = globalThis.process?.env || {}) {
+  if (!env.SYNC_CHAINS) return CHAINS;
+  return env.SYNC_CHAINS.split(',').map(k => {
+    const chain = getChain(k.trim());
+    if (!chain) throw new Error(`Unknown chain in SYNC_CHAINS: ${k}`);
+    return chain;
+  });
+}
+
+export function explorerAddressUrl(chain, address) {
+  return `${chain.explorer}/address/${address}`;
+}
+
+export function explorerTxUrl(chain, txHash) {
+  return `${chain.explorer}/tx/${txHash}`;
+}
+
+/**
+ * The browser-safe subset served by /api/chains
+ */
+export function publicChainInfo(chain) {
+  return {
+    key: chain.key,
+    chainId: chain.chainId,
+    name: chain.name,
+    icon: chain.icon,
+    registries: chain.registries,
+    explorer: chain.explorer
+  };
+}
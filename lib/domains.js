@@ -0,0 +1,88 @@
+/**
+ * Endpoint domain verification
+ *
+ * Anyone can list any URL as a service endpoint. A domain proves it belongs
+ * to an agent by serving /.well-known/agent-registration.json whose
+ * `registrations` entries name the agent (CAIP-10 registry + token ID, as in
+ * the registration file itself). Each http(s) endpoint origin an agent lists
+ * is checked:
+ *
+ *   verified     the file names this agent
+ *   mismatched   the file exists but names other agents
+ *   missing      no file (404/410), or one without usable registrations
+ *   unreachable  the fetch failed some other way
+ */
+
+import { safeFetch, FetchError } from './fetcher.js';
+import { checkBackReferences } from './registration.js';
+
+export const WELL_KNOWN_PATH = '/.well-known/agent-registration.json';
+
+export const DOMAIN_STATUSES = ['verified', 'mismatched', 'missing', 'unreachable'];
+
+// Origins checked per agent, in service order
+const MAX_ORIGINS = 5;
+
+const JSON_TYPES = /^(application\/([\w.-]+\+)?json|text\/json|text\/plain|application\/octet-stream)$/;
+
+/**
+ * Distinct http(s) origins among the services' endpoints
+ */
+export function endpointOrigins(services) {
+  const origins = [];
+  for (const service of services || []) {
+    if (typeof service?.endpoint !== 'string' || !/^https?:\/\//i.test(service.endpoint)) continue;
+    try {
+      const { origin } = new URL(service.endpoint);
+      if (!origins.includes(origin)) origins.push(origin);
+    } catch {}
+  }
+  return origins.slice(0, MAX_ORIGINS);
+}
+
+/**
+ * Fetch and parse an origin's well-known registration file. Resolves to
+ * { registrations } or { error, status } and never throws.
+ */
+async function fetchWellKnown(origin, { allowPrivate }) {
+  try {
+    const res = await safeFetch(new URL(WELL_KNOWN_PATH, origin).href, { accept: JSON_TYPES, allowPrivate });
+    const file = JSON.parse(res.text.replace(/^\uFEFF/, ''));
+    return { registrations: file?.registrations ?? null };
+  } catch (err) {
+    if (err instanceof FetchError && (err.status === 404 || err.status === 410)) {
+      return { status: 'missing', error: `HTTP ${err.status}` };
+    }
+    if (err instanceof SyntaxError) return { status: 'missing', error: 'Not JSON' };
+    return { status: 'unreachable', error: err.message?.slice(0, 100) || 'Fetch failed' };
+  }
+}
+
+/**
+ * Check every endpoint origin of an agent against `target`
+ * ({ chainId, registry, tokenId }). `cache` (a Map) lets agents sharing an
+ * origin reuse one fetch within a run.
+ *
+ * Resolves to { checkedAt, verified: [hosts], domains: [{ domain, origin,
+ * status, error }] }, or null if the agent has no http(s) endpoints.
+ */
+export async function verifyDomains(services, target, { cache = new Map(), allowPrivate = false } = {}) {
+  const origins = endpointOrigins(services);
+  if (origins.length === 0) return null;
+
+  const domains = await Promise.all(origins.map(async origin => {
+    if (!cache.has(origin)) cache.set(origin, fetchWellKnown(origin, { allowPrivate }));
+    const file = await cache.get(origin);
+    const domain = new URL(origin).host;
+    if (file.status) return { domain, origin, status: file.status, error: file.error };
+
+    const { status } = checkBackReferences(file.registrations, target);
+    return { domain, origin, status, error: null };
+  }));
+
+  return {
+    checkedAt: new Date().toISOString(),
+    verified: [...new Set(domains.filter(d => d.status === 'verified').map(d => d.domain))],
+    domains
+  };
+}
@@ -0,0 +1,118 @@
+/**
+ * ENS name resolution
+ *
+ * Owners are reverse-resolved to their primary ENS name. A reverse record is
+ * only a claim (anyone can point their address at any name), so the name is
+ * kept only if it forward-resolves back to the same address. ENS services
+ * are forward-resolved so the address behind the name can be compared with
+ * the agent's owner.
+ *
+ * ENS lives on Ethereum mainnet whichever chain the agent is on; lookups go
+ * through viem's Universal Resolver support. Results are cached with a TTL.
+ * "No name" and "no address" are cached like any other answer, but a lookup
+ * that fails (RPC error) is not.
+ */
+
+import { mainnet } from 'viem/chains';
+import { normalize } from 'viem/ens';
+import { getChain } from './chains.js';
+import { createProviderPool } from './rpc-pool.js';
+
+const ENS_NAME = /^([^\s./:@]+\.)+eth$/i;
+
+const UNIVERSAL_RESOLVER = mainnet.contracts.ensUniversalResolver.address;
+
+/**
+ * True for what looks like an ENS name (label.eth, sub.label.eth)
+ */
+export function isEnsName(value) {
+  return typeof value === 'string' && ENS_NAME.test(value.trim());
+}
+
+/**
+ * The normalized (ENSIP-15) form of an ENS name, or null if it isn't one
+ */
+export function normalizeEnsName(value) {
+  if (!isEnsName(value)) return null;
+  try {
+    return normalize(value.trim());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A client for ENS lookups over a mainnet provider pool (lib/rpc-pool.js).
+ * Pass the sync's Ethereum pool to share its provider health and budgets;
+ * without one, a pool on the Ethereum RPCs from lib/chains.js is created
+ * (RPC_URLS_1 overrides them as usual).
+ */
+export function createEnsClient({ env, pool = createProviderPool(getChain(1), { env }) } = {}) {
+  return {
+    getEnsName: args => pool.call(client => client.getEnsName({ ...args, universalResolverAddress: UNIVERSAL_RESOLVER })),
+    getEnsAddress: args => pool.call(client => client.getEnsAddress({ ...args, universalResolverAddress: UNIVERSAL_RESOLVER }))
+  };
+}
+
+/**
+ * Cached ENS lookups over `client`. `cache` maps 'addr:<address>' (reverse)
+ * and 'name:<name>' (forward) keys to { value, at }; pass the same object in
+ * on the next run to keep answers younger than `ttlMs`. Concurrent lookups
+ * of the same key share one request.
+ */
+export function createEnsResolver(client, { cache = {}, ttlMs = 24 * 3600 * 1000 } = {}) {
+  const pending = new Map();
+
+  function cached(key, lookup) {
+    const entry = cache[key];
+    if (entry && Date.now() - Date.parse(entry.at) < ttlMs) return Promise.resolve(entry.value);
+    if (!pending.has(key)) {
+      pending.set(key, lookup()
+        .then(value => {
+          cache[key] = { value, at: new Date().toISOString() };
+          return value;
+        })
+        .finally(() => pending.delete(key)));
+    }
+    return pending.get(key);
+  }
+
+  /**
+   * Address an ENS name points at (lowercased), or null
+   */
+  function resolveName(name) {
+    const normalized = normalizeEnsName(name);
+    if (!normalized) return Promise.resolve(null);
+    return cached(`name:${normalized}`, async () => {
+      const address = await client.getEnsAddress({ name: normalized });
+      return address ? address.toLowerCase() : null;
+    });
+  }
+
+  /**
+   * Primary ENS name of an address, or null if it has none or the name
+   * doesn't resolve back to it
+   */
+  function lookupAddress(address) {
+    const addr = address.toLowerCase();
+    return cached(`addr:${addr}`, async () => {
+      const name = await client.getEnsName({ address: addr });
+      if (!name) return null;
+      return await resolveName(name) === addr ? normalizeEnsName(name) : null;
+    });
+  }
+
+  return { resolveName, lookupAddress, cache };
+}
+
+/**
+ * Drop cache entries older than `maxAgeMs`, so addresses and names nobody
+ * asks about any more don't pile up
+ */
+export function pruneEnsCache(cache, maxAgeMs) {
+  const cutoff = Date.now() - maxAgeMs;
+  for (const [key, entry] of Object.entries(cache)) {
+    if (!(Date.parse(entry?.at) >= cutoff)) delete cache[key];
+  }
+  return cache;
+}
@@ -0,0 +1,276 @@
+/**
+ * Fetcher for URLs taken from agent registrations
+ *
+ * Anyone can register any URL, so every request made on an agent's behalf
+ * goes through here: http(s) only, no private, loopback or link-local
+ * addresses (checked on the resolved IP at connect time, so DNS rebinding
+ * can't slip past), a cap on redirects and response bytes, and an overall
+ * timeout. Failures are FetchErrors carrying a short reason, the URL and the
+ * HTTP status if there was one, so callers can record them on the agent.
+ *
+ * Node only: the sync scripts use it, the Pages Functions never fetch
+ * registrations.
+ */
+
+import http from 'node:http';
+import https from 'node:https';
+import { lookup } from 'node:dns';
+import { isIP } from 'node:net';
+import { Transform } from 'node:stream';
+
+export const MAX_BYTES = 1024 * 1024;
+export const MAX_REDIRECTS = 3;
+export const TIMEOUT = 15000;
+
+const USER_AGENT = 'ERC8004-Catalog/2.0';
+
+export class FetchError extends Error {
+  constructor(reason, message, { url = null, status = null } = {}) {
+    super(message);
+    this.name = 'FetchError';
+    this.reason = reason;
+    this.url = url;
+    this.status = status;
+  }
+}
+
+const PRIVATE_V4 = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+function v4ToInt(ip) {
+  return ip.split('.').reduce((n, octet) => (n << 8) + Number(octet), 0) >>> 0;
+}
+
+/**
+ * The eight 16-bit groups of an IPv6 address, whichever way it is written
+ * (compressed, with a trailing dotted IPv4 part, with a zone)
+ */
+function v6Groups(ip) {
+  let text = ip.toLowerCase().replace(/%.*$/, '');
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const n = v4ToInt(dotted[1]);
+    text = `${text.slice(0, -dotted[1].length)}${(n >>> 16).toString(16)}:${(n & 0xffff).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const middle = tail === undefined ? [] : Array(8 - left.length - right.length).fill('0');
+  return [...left, ...middle, ...right].map(g => parseInt(g, 16));
+}
+
+/**
+ * The IPv4 address an IPv6 address stands for, if it embeds one: mapped
+ * (::ffff:a.b.c.d, which Node prints as ::ffff:7f00:1), translated
+ * (::ffff:0:a.b.c.d), compatible (::a.b.c.d), NAT64 (64:ff9b::/96) and
+ * 6to4 (2002::/16)
+ */
+function embeddedV4(groups) {
+  const v4 = (hi, lo) => [hi >> 8, hi & 0xff, lo >> 8, lo & 0xff].join('.');
+  const zeros = n => groups.slice(0, n).every(g => g === 0);
+  if (zeros(5) && groups[5] === 0xffff) return v4(groups[6], groups[7]);
+  if (zeros(4) && groups[4] === 0xffff && groups[5] === 0) return v4(groups[6], groups[7]);
+  if (zeros(6) && (groups[6] !== 0 || groups[7] > 1)) return v4(groups[6], groups[7]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(g => g === 0)) return v4(groups[6], groups[7]);
+  if (groups[0] === 0x2002) return v4(groups[1], groups[2]);
+  return null;
+}
+
+/**
+ * True for addresses an agent URL must never reach: private, loopback,
+ * link-local, CGNAT, multicast and reserved ranges, in IPv4 or IPv6,
+ * including IPv4 addresses wrapped in IPv6 ones
+ */
+export function isPrivateAddress(ip) {
+  if (isIP(ip) === 4) {
+    const n = v4ToInt(ip);
+    return PRIVATE_V4.some(([base, bits]) => (n >>> (32 - bits)) === (v4ToInt(base) >>> (32 - bits)));
+  }
+
+  const groups = v6Groups(ip);
+  if (groups.length !== 8 || groups.some(g => !Number.isInteger(g))) return true;
+  const v4 = embeddedV4(groups);
+  if (v4) return isPrivateAddress(v4);
+  return groups.slice(0, 7).every(g => g === 0) && groups[7] <= 1 ||  // :: and ::1
+    (groups[0] & 0xfe00) === 0xfc00 ||  // fc00::/7 unique local
+    (groups[0] & 0xffc0) === 0xfe80 ||  // fe80::/10 link-local
+    (groups[0] & 0xff00) === 0xff00 ||  // multicast
+    (groups[0] === 0x64 && groups[1] === 0xff9b);  // 64:ff9b::/48 local NAT64
+}
+
+// dns.lookup that refuses to hand a private address to the socket
+function guardedLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked) {
+      return callback(new FetchError('blocked_address', `${hostname} resolves to ${blocked.address}`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function checkUrl(url, allowPrivate) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new FetchError('bad_scheme', `Refusing to fetch ${url.protocol} URL`, { url: url.href });
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (!allowPrivate && isIP(host) && isPrivateAddress(host)) {
+    throw new FetchError('blocked_address', `Refusing to fetch private address ${host}`, { url: url.href });
+  }
+}
+
+// One request, no redirect following; the body is read up to maxBytes, not
+// at all with headersOnly, or handed over as it arrives with stream
+function request(url, { method, body, maxBytes, signal, headers, allowPrivate, headersOnly, stream }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const lookupFn = allowPrivate ? lookup : guardedLookup;
+    const req = client.request(url, { method, headers, lookup: lookupFn, signal }, res => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        return resolve({ status: res.statusCode, headers: res.headers, body: null });
+      }
+
+      if (Number(res.headers['content-length']) > maxBytes) {
+        res.destroy();
+        return reject(new FetchError('too_large', `Response over ${maxBytes} bytes`, { url: url.href, status: res.statusCode }));
+      }
+
+      if (headersOnly) {
+        res.destroy();
+        return resolve({ status: res.statusCode, headers: res.headers, body: Buffer.alloc(0) });
+      }
+
+      // Counted on the way through; nothing flows until the caller reads
+      if (stream && res.statusCode >= 200 && res.statusCode < 300) {
+        let size = 0;
+        const counted = new Transform({
+          transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (size > maxBytes) {
+              return callback(new FetchError('too_large', `Response over ${maxBytes} bytes`, { url: url.href, status: res.statusCode }));
+            }
+            callback(null, chunk);
+          }
+        });
+        res.on('error', err => counted.destroy(signal?.aborted
+          ? new FetchError('timeout', 'Request timed out', { url: url.href, status: res.statusCode })
+          : err));
+        counted.on('close', () => res.destroy());
+        res.pipe(counted);
+        return resolve({ status: res.statusCode, headers: res.headers, body: Buffer.alloc(0), stream: counted });
+      }
+
+      const chunks = [];
+      let size = 0;
+      res.on('data', chunk => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          res.destroy();
+          reject(new FetchError('too_large', `Response over ${maxBytes} bytes`, { url: url.href, status: res.statusCode }));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      res.on('error', reject);
+    });
+
+    req.on('error', err => {
+      if (err instanceof FetchError) return reject(Object.assign(err, { url: url.href }));
+      if (err.name === 'AbortError') return reject(new FetchError('timeout', 'Request timed out', { url: url.href }));
+      reject(new FetchError('network', err.message, { url: url.href }));
+    });
+    req.end(body);
+  });
+}
+
+/**
+ * Request a URL under the guards above (GET unless `method` and `body` say
+ * otherwise), following up to maxRedirects redirects. Non-2xx responses
+ * throw. If `accept` is given, the response content type must match it (a
+ * missing content type is let through). `allowPrivate` lifts the address
+ * checks, for pointing the sync at local stub servers. `headersOnly` stops
+ * at the response headers and leaves the body empty, for streams that never
+ * end. `stream` also stops there but hands over the response as `stream`,
+ * a readable the caller must destroy; maxBytes and the timeout still apply
+ * to it.
+ *
+ * Resolves to { url, status, contentType, headers, text, body }, where body
+ * is the raw Buffer (for images and other binary responses).
+ */
+export async function safeFetch(href, {
+  method = 'GET',
+  body = undefined,
+  maxBytes = MAX_BYTES,
+  maxRedirects = MAX_REDIRECTS,
+  timeout = TIMEOUT,
+  accept = null,
+  headers = {},
+  allowPrivate = false,
+  headersOnly = false,
+  stream = false
+} = {}) {
+  const signal = AbortSignal.timeout(timeout);
+  let url = new URL(href);
+
+  for (let hop = 0; ; hop++) {
+    checkUrl(url, allowPrivate);
+    const res = await request(url, {
+      method,
+      body,
+      maxBytes,
+      signal,
+      allowPrivate,
+      headersOnly,
+      stream,
+      headers: { 'User-Agent': USER_AGENT, ...headers }
+    });
+
+    if (res.body === null) {
+      if (hop >= maxRedirects) {
+        throw new FetchError('too_many_redirects', `More than ${maxRedirects} redirects`, { url: url.href, status: res.status });
+      }
+      url = new URL(res.headers.location, url);
+      // 307/308 repeat the request as is, other redirects become a GET
+      if (res.status !== 307 && res.status !== 308) {
+        method = 'GET';
+        body = undefined;
+      }
+      continue;
+    }
+
+    if (res.status < 200 || res.status >= 300) {
+      throw new FetchError('http_status', `HTTP ${res.status}`, { url: url.href, status: res.status });
+    }
+
+    const contentType = (res.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (accept && contentType && !accept.test(contentType)) {
+      res.stream?.destroy();
+      throw new FetchError('content_type', `Unexpected content type ${contentType}`, { url: url.href, status: res.status });
+    }
+
+    return {
+      url: url.href,
+      status: res.status,
+      contentType,
+      headers: res.headers,
+      text: res.body.toString('utf8'),
+      body: res.body,
+      ...(res.stream ? { stream: res.stream } : {})
+    };
+  }
+}
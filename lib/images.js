@@ -0,0 +1,165 @@
+/**
+ * Agent images
+ *
+ * An agent's `image` may be an http(s) URL on any host, an IPFS or Arweave
+ * URI, a bare CID, a data: URI, or something unusable (a local path, a
+ * placeholder service). processImage resolves it the way registration URIs
+ * are resolved, downloads it through lib/fetcher.js, checks that the bytes
+ * decode as an accepted image format within the size limits, and renders a
+ * small square WebP thumbnail named after its content hash. The frontend only
+ * shows these thumbnails, so third-party hosts are never hot-linked.
+ *
+ * Results have a status:
+ *
+ *   ok           thumbnail rendered
+ *   placeholder  a placeholder or random-image service, not worth showing
+ *   unsupported  not something we can fetch (local path, unknown scheme)
+ *   broken       the fetch failed or the bytes aren't a usable image
+ */
+
+import { createHash } from 'node:crypto';
+import sharp from 'sharp';
+import { safeFetch, FetchError } from './fetcher.js';
+import { resolveAgentURI } from './agent-uri.js';
+
+export const IMAGE_STATUSES = ['ok', 'placeholder', 'unsupported', 'broken'];
+
+// Shown at 48px, rendered at twice that for high-density screens
+export const THUMBNAIL_SIZE = 96;
+
+const IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+
+// Decoding is refused above this many pixels (about 6000 x 6000)
+const MAX_PIXELS = 36_000_000;
+
+// As sharp reports them; AVIF and HEIC both come back as heif
+const IMAGE_FORMATS = ['png', 'jpeg', 'gif', 'webp', 'svg', 'heif'];
+
+// Gateways and buckets often serve images as octet-stream
+const IMAGE_TYPES = /^(image\/[\w.+-]+|application\/octet-stream|binary\/octet-stream)$/;
+
+const PLACEHOLDER_HOSTS = /(^|\.)(placeholder\.com|placehold\.(co|it)|dummyimage\.com|picsum\.photos|example\.(com|org|net))$/i;
+
+/**
+ * Bytes of a data: URI, or null if it isn't a well-formed image one
+ */
+function dataURIBytes(uri) {
+  const comma = uri.indexOf(',');
+  if (comma === -1) return null;
+  const params = uri.slice(5, comma).split(';').map(p => p.trim().toLowerCase());
+  if (params[0] && !params[0].startsWith('image/')) return null;
+  const body = uri.slice(comma + 1);
+  try {
+    return params.includes('base64')
+      ? Buffer.from(decodeURIComponent(body), 'base64')
+      : Buffer.from(decodeURIComponent(body), 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Work out where an image lives: { data } for inline bytes, { urls, host } to
+ * try in order, or { status } when it isn't worth fetching. Null when there is
+ * no image at all.
+ */
+export function resolveImage(image) {
+  if (typeof image !== 'string' || !image.trim()) return null;
+  const value = image.trim();
+
+  if (/^data:/i.test(value)) {
+    const data = dataURIBytes(value);
+    return data ? { data } : { status: 'unsupported', error: 'Not an image data: URI' };
+  }
+
+  let resolved;
+  try {
+    resolved = resolveAgentURI(value);
+  } catch (err) {
+    return { status: 'unsupported', error: err.message };
+  }
+  if (!resolved.urls) return { status: 'unsupported', error: 'Not an image URI' };
+
+  let url;
+  try {
+    url = new URL(resolved.urls[0]);
+  } catch {
+    return { status: 'unsupported', error: 'Malformed image URL' };
+  }
+  if (PLACEHOLDER_HOSTS.test(url.hostname)) return { status: 'placeholder', error: `Placeholder image from ${url.hostname}` };
+  return { urls: resolved.urls, host: url.host.toLowerCase() };
+}
+
+/**
+ * Host the first fetch for an image goes to, for per-host rate limiting;
+ * 'inline' for anything that isn't fetched
+ */
+export function imageHost(image) {
+  return resolveImage(image)?.host ?? 'inline';
+}
+
+async function download(urls, allowPrivate) {
+  let lastError;
+  for (const url of urls) {
+    try {
+      const res = await safeFetch(url, { accept: IMAGE_TYPES, maxBytes: IMAGE_MAX_BYTES, allowPrivate });
+      return { data: res.body, source: { url: res.url, status: res.status } };
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Validate image bytes and render the thumbnail. Throws for anything that
+ * isn't an accepted image format or is too large to decode.
+ */
+export async function renderThumbnail(data) {
+  const meta = await sharp(data, { limitInputPixels: MAX_PIXELS }).metadata();
+  if (!IMAGE_FORMATS.includes(meta.format)) throw new Error(`Unsupported image format ${meta.format}`);
+
+  const thumbnail = await sharp(data, { limitInputPixels: MAX_PIXELS })
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+    .webp({ quality: 80 })
+    .toBuffer();
+  const hash = createHash('sha256').update(thumbnail).digest('hex').slice(0, 16);
+  return {
+    format: meta.format,
+    width: meta.width ?? null,
+    height: meta.height ?? null,
+    thumbnail,
+    file: `${hash}.webp`
+  };
+}
+
+/**
+ * Fetch, check and thumbnail an agent's image. Resolves to null if there is
+ * no image, otherwise to { status, source, format, width, height, file,
+ * thumbnail (Buffer), error, reason }; never throws.
+ */
+export async function processImage(image, { allowPrivate = false } = {}) {
+  const resolved = resolveImage(image);
+  if (!resolved) return null;
+  if (resolved.status) return { status: resolved.status, error: resolved.error, reason: null };
+
+  let data = resolved.data;
+  let source = null;
+  try {
+    if (!data) ({ data, source } = await download(resolved.urls, allowPrivate));
+  } catch (err) {
+    return {
+      status: 'broken',
+      source: err instanceof FetchError ? { url: err.url, status: err.status } : null,
+      error: err.message?.slice(0, 100),
+      reason: err instanceof FetchError ? err.reason : 'network'
+    };
+  }
+
+  try {
+    return { status: 'ok', source, ...await renderThumbnail(data), error: null, reason: null };
+  } catch (err) {
+    return { status: 'broken', source, error: err.message?.slice(0, 100), reason: 'not_image' };
+  }
+}
@@ -0,0 +1,402 @@
+/**
+ * MCP server introspection
+ *
+ * Connects to an agent's MCP endpoint over the Streamable HTTP transport:
+ * initialize, notifications/initialized, then tools/list, prompts/list and
+ * resources/list (following cursors), and finally ends the session. Servers
+ * may answer each POST with plain JSON or with an SSE stream carrying the
+ * JSON-RPC response; both are handled. Servers that only speak the older
+ * HTTP+SSE transport reject the initialize POST (404/405); for those the same
+ * steps run over that transport instead: a GET opens a long-lived event
+ * stream, its `endpoint` event names the URL to POST messages to, and the
+ * responses come back as `message` events on the stream.
+ *
+ * Everything goes through lib/fetcher.js, so the usual address, size and
+ * timeout guards apply.
+ */
+
+import { safeFetch, FetchError } from './fetcher.js';
+
+export const MCP_PROTOCOL_VERSION = '2025-06-18';
+
+const CLIENT_INFO = { name: 'erc8004-catalog', version: '2.0.0' };
+
+// Per kind, and per page of a listing
+const MAX_ITEMS = 200;
+const MAX_PAGES = 10;
+
+// Input schemas bigger than this are dropped rather than stored
+const MAX_SCHEMA_BYTES = 8 * 1024;
+
+const MCP_TYPES = /^(application\/json|text\/event-stream)$/;
+
+export class MCPError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'MCPError';
+    this.code = code;
+  }
+}
+
+/**
+ * JSON-RPC messages from an SSE body: the data lines of each event, joined
+ */
+export function parseSSE(text) {
+  const messages = [];
+  for (const event of text.split(/\r?\n\r?\n/)) {
+    const data = event.split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+      .join('\n');
+    if (!data) continue;
+    try {
+      messages.push(JSON.parse(data));
+    } catch {}
+  }
+  return messages;
+}
+
+/**
+ * True if a GET on `endpoint` opens an event stream, as the HTTP+SSE
+ * transport does. Only the response headers are read.
+ */
+export async function opensEventStream(endpoint, { allowPrivate = false, timeout } = {}) {
+  try {
+    const res = await safeFetch(endpoint, {
+      allowPrivate,
+      ...(timeout ? { timeout } : {}),
+      headers: { Accept: 'text/event-stream' },
+      headersOnly: true
+    });
+    return res.contentType === 'text/event-stream';
+  } catch {
+    return false;
+  }
+}
+
+function findResponse(res, id) {
+  let messages;
+  if (res.contentType === 'text/event-stream') {
+    messages = parseSSE(res.text);
+  } else {
+    try {
+      const body = JSON.parse(res.text);
+      messages = Array.isArray(body) ? body : [body];
+    } catch {
+      throw new MCPError('Response is not JSON');
+    }
+  }
+  const response = messages.find(m => m && m.id === id && (m.result !== undefined || m.error !== undefined));
+  if (!response) throw new MCPError(`No response to request ${id}`);
+  if (response.error) throw new MCPError(response.error.message || 'JSON-RPC error', response.error.code ?? null);
+  return response.result;
+}
+
+function createSession(endpoint, options) {
+  let nextId = 1;
+  let sessionId = null;
+  let protocolVersion = null;
+
+  async function post(message) {
+    const headers = {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream'
+    };
+    if (sessionId) headers['Mcp-Session-Id'] = sessionId;
+    if (protocolVersion) headers['MCP-Protocol-Version'] = protocolVersion;
+    return safeFetch(endpoint, {
+      ...options,
+      method: 'POST',
+      body: JSON.stringify({ jsonrpc: '2.0', ...message }),
+      accept: MCP_TYPES,
+      headers
+    });
+  }
+
+  return {
+    async request(method, params = {}) {
+      const id = nextId++;
+      const res = await post({ id, method, params });
+      if (res.headers['mcp-session-id']) sessionId = res.headers['mcp-session-id'];
+      return findResponse(res, id);
+    },
+
+    // Servers reply 202 with no body; one that rejects the notification can
+    // usually still be listed
+    async notify(method) {
+      try {
+        await post({ method });
+      } catch (err) {
+        if (err.reason !== 'http_status') throw err;
+      }
+    },
+
+    setProtocolVersion(version) {
+      protocolVersion = version;
+    },
+
+    // Ending the session is a courtesy; servers without sessions reject it
+    async close() {
+      if (!sessionId) return;
+      try {
+        const headers = { 'Mcp-Session-Id': sessionId, 'MCP-Protocol-Version': protocolVersion };
+        await safeFetch(endpoint, { ...options, method: 'DELETE', headers });
+      } catch {}
+    }
+  };
+}
+
+/**
+ * Call onEvent(event, data) for each server-sent event on a readable stream
+ * as it arrives; data lines are joined and events without data are skipped
+ */
+function readEvents(stream, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  stream.on('data', chunk => {
+    buffer += decoder.decode(chunk, { stream: true });
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    for (const raw of events) {
+      let event = 'message';
+      const data = [];
+      for (const line of raw.split(/\r?\n/)) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+      }
+      if (data.length > 0) onEvent(event, data.join('\n'));
+    }
+  });
+}
+
+/**
+ * A session over the HTTP+SSE transport, with the same interface as
+ * createSession. Requests wait for their response on the event stream, which
+ * stays open until close(); the fetch timeout covers the whole session.
+ */
+async function createLegacySession(endpoint, options) {
+  const res = await safeFetch(endpoint, {
+    ...options,
+    accept: /^text\/event-stream$/,
+    headers: { Accept: 'text/event-stream' },
+    stream: true
+  });
+  if (res.contentType !== 'text/event-stream') {
+    res.stream.destroy();
+    throw new MCPError('Endpoint does not open an event stream');
+  }
+
+  let nextId = 1;
+  let closed = null;
+  const pending = new Map();
+  let endpointFound;
+  let endpointFailed;
+  const messagesUrl = new Promise((resolve, reject) => {
+    endpointFound = resolve;
+    endpointFailed = reject;
+  });
+  messagesUrl.catch(() => {});
+
+  function fail(err) {
+    if (closed) return;
+    closed = err;
+    endpointFailed(err);
+    for (const { reject } of pending.values()) reject(err);
+    pending.clear();
+  }
+
+  readEvents(res.stream, (event, data) => {
+    if (event === 'endpoint') {
+      let url;
+      try {
+        url = new URL(data, res.url);
+      } catch {
+        return fail(new MCPError('Malformed endpoint event'));
+      }
+      // The message URL must not send us anywhere the stream didn't come from
+      if (url.origin !== new URL(res.url).origin) return fail(new MCPError('Endpoint event names another origin'));
+      return endpointFound(url.href);
+    }
+    if (event !== 'message') return;
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return;
+    }
+    const waiting = pending.get(message?.id);
+    if (!waiting || (message.result === undefined && message.error === undefined)) return;
+    pending.delete(message.id);
+    if (message.error) waiting.reject(new MCPError(message.error.message || 'JSON-RPC error', message.error.code ?? null));
+    else waiting.resolve(message.result);
+  });
+  res.stream.on('error', err => fail(err instanceof FetchError ? err : new FetchError('network', err.message, { url: res.url })));
+  res.stream.on('close', () => fail(new FetchError('timeout', 'Event stream closed', { url: res.url })));
+
+  async function post(message) {
+    return safeFetch(await messagesUrl, {
+      ...options,
+      method: 'POST',
+      body: JSON.stringify({ jsonrpc: '2.0', ...message }),
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  return {
+    async request(method, params = {}) {
+      if (closed) throw closed;
+      const id = nextId++;
+      const response = new Promise((resolve, reject) => pending.set(id, { resolve, reject }));
+      response.catch(() => {});
+      try {
+        await post({ id, method, params });
+      } catch (err) {
+        pending.delete(id);
+        throw err;
+      }
+      return response;
+    },
+
+    async notify(method) {
+      try {
+        await post({ method });
+      } catch (err) {
+        if (err.reason !== 'http_status') throw err;
+      }
+    },
+
+    // Versions travel in the messages only on this transport
+    setProtocolVersion() {},
+
+    async close() {
+      fail(new MCPError('Session closed'));
+      res.stream.destroy();
+    }
+  };
+}
+
+async function listAll(session, method, key) {
+  const items = [];
+  let cursor;
+  for (let page = 0; page < MAX_PAGES && items.length < MAX_ITEMS; page++) {
+    const result = await session.request(method, cursor ? { cursor } : {});
+    items.push(...(Array.isArray(result?.[key]) ? result[key] : []));
+    cursor = result?.nextCursor;
+    if (!cursor) break;
+  }
+  return items.slice(0, MAX_ITEMS);
+}
+
+function text(value, max = 1000) {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null;
+}
+
+function schema(value) {
+  if (!value || typeof value !== 'object') return null;
+  return JSON.stringify(value).length <= MAX_SCHEMA_BYTES ? value : null;
+}
+
+const SHAPES = {
+  tools: t => text(t?.name, 200) && {
+    name: text(t.name, 200),
+    title: text(t.title, 200),
+    description: text(t.description),
+    inputSchema: schema(t.inputSchema)
+  },
+  prompts: p => text(p?.name, 200) && {
+    name: text(p.name, 200),
+    title: text(p.title, 200),
+    description: text(p.description),
+    arguments: Array.isArray(p.arguments)
+      ? p.arguments.filter(a => text(a?.name, 200)).map(a => ({
+        name: text(a.name, 200),
+        description: text(a.description),
+        required: a.required === true
+      }))
+      : []
+  },
+  resources: r => text(r?.uri, 500) && {
+    uri: text(r.uri, 500),
+    name: text(r.name, 200),
+    description: text(r.description),
+    mimeType: text(r.mimeType, 100)
+  }
+};
+
+/**
+ * A list the server may not implement: method-not-found and other JSON-RPC
+ * errors give an empty list, transport failures still throw
+ */
+async function optionalList(session, method, key) {
+  try {
+    return await listAll(session, method, key);
+  } catch (err) {
+    if (err instanceof MCPError) return [];
+    throw err;
+  }
+}
+
+/**
+ * Introspect the MCP server at `endpoint`. Resolves to
+ * { protocolVersion, serverInfo, instructions, capabilities, tools, prompts,
+ * resources }. Throws FetchError for transport failures and MCPError when
+ * the server doesn't speak the protocol.
+ */
+export async function introspectMCP(endpoint, { allowPrivate = false, timeout } = {}) {
+  const options = { allowPrivate, ...(timeout ? { timeout } : {}) };
+  const initialize = session => session.request('initialize', {
+    protocolVersion: MCP_PROTOCOL_VERSION,
+    capabilities: {},
+    clientInfo: CLIENT_INFO
+  });
+
+  let session = createSession(endpoint, options);
+  let init;
+  try {
+    init = await initialize(session);
+  } catch (err) {
+    // HTTP+SSE-only servers answer a POST to their SSE URL with 404/405
+    if (!(err instanceof FetchError && (err.status === 404 || err.status === 405))) throw err;
+    session = await createLegacySession(endpoint, options).catch(() => {
+      throw err;
+    });
+    try {
+      init = await initialize(session);
+    } catch (legacyErr) {
+      await session.close();
+      throw legacyErr;
+    }
+  }
+  if (!init || typeof init !== 'object') {
+    await session.close();
+    throw new MCPError('Empty initialize result');
+  }
+
+  session.setProtocolVersion(init.protocolVersion || MCP_PROTOCOL_VERSION);
+  await session.notify('notifications/initialized');
+
+  const capabilities = init.capabilities && typeof init.capabilities === 'object' ? init.capabilities : {};
+  try {
+    // Some servers leave tools out of their capabilities but list them anyway
+    const [tools, prompts, resources] = [
+      await optionalList(session, 'tools/list', 'tools'),
+      capabilities.prompts ? await optionalList(session, 'prompts/list', 'prompts') : [],
+      capabilities.resources ? await optionalList(session, 'resources/list', 'resources') : []
+    ];
+
+    return {
+      protocolVersion: text(init.protocolVersion, 50),
+      serverInfo: {
+        name: text(init.serverInfo?.name, 200),
+        version: text(init.serverInfo?.version, 50)
+      },
+      instructions: text(init.instructions),
+      capabilities: Object.keys(capabilities),
+      tools: tools.map(SHAPES.tools).filter(Boolean),
+      prompts: prompts.map(SHAPES.prompts).filter(Boolean),
+      resources: resources.map(SHAPES.resources).filter(Boolean)
+    };
+  } finally {
+    await session.close();
+  }
+}
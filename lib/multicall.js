@@ -0,0 +1,78 @@
+/**
+ * Multicall3 batching
+ *
+ * Multicall3's aggregate3 runs many view calls in a single eth_call and lets
+ * each of them fail on its own, so one missing token doesn't sink the batch.
+ * Each chain's Multicall3 address is in lib/chains.js.
+ */
+
+import { parseAbi, encodeFunctionData, decodeFunctionResult, ContractFunctionRevertedError } from 'viem';
+
+// What providers say when a batch is too big for them: out of gas, over
+// their eth_call gas cap, or a request or response over their size limit
+const BATCH_LIMIT = /out of gas|gas (limit|cap|required)|exceeds (block )?gas|(request|response|payload|body|content)( size)? (is )?too (large|big)|(request|response|payload|body|content) size|size limit|returndata/i;
+
+const MULTICALL3_ABI = parseAbi([
+  'struct Call3 { address target; bool allowFailure; bytes callData; }',
+  'struct Result { bool success; bytes returnData; }',
+  'function aggregate3(Call3[] calls) payable returns (Result[] returnData)'
+]);
+
+/**
+ * True if a failed aggregate3 call is worth retrying as a smaller batch.
+ * Anything else (a timeout, a rate limit, a provider that is down) would
+ * fail the same way at any size.
+ */
+export function isBatchLimitError(err) {
+  if (err?.walk?.(e => e.status === 413)) return true;
+  return BATCH_LIMIT.test([err?.details, err?.shortMessage, err?.message].filter(Boolean).join(' '));
+}
+
+/**
+ * True if the call shows there's no working Multicall3 at the address: it
+ * returned nothing, or reverted with revert data. (Providers report internal
+ * errors as data-less reverts, and aggregate3 never reverts on its own.)
+ */
+export function isUnavailableError(err) {
+  return Boolean(err?.walk?.(e => e.name === 'ContractFunctionZeroDataError' || (e.name === 'ContractFunctionRevertedError' && e.raw)));
+}
+
+/**
+ * Run `calls` ([{ address, abi, functionName, args }]) in one aggregate3
+ * call. Resolves to one entry per call:
+ *
+ *   { status: 'success', result }
+ *   { status: 'reverted', error }  reverted with error data; error is a
+ *                                  ContractFunctionRevertedError, as a direct
+ *                                  readContract would have thrown
+ *   { status: 'unknown' }          an empty revert or a result that doesn't
+ *                                  decode, which inside a batch may just be
+ *                                  out of gas: worth a direct call
+ *
+ * A failure of the eth_call itself (transport, provider limits) is thrown.
+ */
+export async function aggregate3(client, multicallAddress, calls) {
+  const results = await client.readContract({
+    address: multicallAddress,
+    abi: MULTICALL3_ABI,
+    functionName: 'aggregate3',
+    args: [calls.map(({ address, abi, functionName, args }) => ({
+      target: address,
+      allowFailure: true,
+      callData: encodeFunctionData({ abi, functionName, args })
+    }))]
+  });
+
+  return results.map(({ success, returnData }, i) => {
+    const { abi, functionName, args } = calls[i];
+    if (!success) {
+      if (returnData === '0x') return { status: 'unknown' };
+      return { status: 'reverted', error: new ContractFunctionRevertedError({ abi, data: returnData, functionName }) };
+    }
+    try {
+      return { status: 'success', result: decodeFunctionResult({ abi, functionName, args, data: returnData }) };
+    } catch {
+      return { status: 'unknown' };
+    }
+  });
+}
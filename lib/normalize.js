@@ -0,0 +1,203 @@
+/**
+ * Registration metadata normalizer
+ *
+ * Registration files in the wild use a zoo of spellings for the same thing:
+ * x402support, x402Enabled, supportedTrusts, endpoints instead of services,
+ * url or serviceEndpoint instead of endpoint, "a2a" for A2A, a wallet address
+ * as a top-level key or tucked into services. normalizeMetadata maps the known
+ * variants onto the canonical registration-v1 model and records, for every
+ * canonical field it fills, the key path its value came from.
+ *
+ * The raw file is never modified; validation (lib/registration.js) still runs
+ * on the raw file so compliance reflects what the agent actually published.
+ */
+
+import { getAddress } from 'viem';
+
+// Canonical field -> keys to try, canonical first
+const FIELD_VARIANTS = {
+  name: ['name', 'agentName'],
+  description: ['description', 'desc', 'about'],
+  image: ['image', 'imageUrl', 'image_url', 'logo', 'avatar', 'icon'],
+  active: ['active', 'isActive'],
+  x402Support: ['x402Support', 'x402support', 'x402_support', 'x402Enabled', 'x402'],
+  supportedTrust: ['supportedTrust', 'supportedTrusts', 'trustModels', 'trust'],
+  services: ['services', 'endpoints', 'entrypoints'],
+  agentWallet: ['agentWallet', 'walletAddress', 'wallet'],
+  registrations: ['registrations']
+};
+
+const SERVICE_NAME_KEYS = ['name', 'type', 'id'];
+const SERVICE_ENDPOINT_KEYS = ['endpoint', 'url', 'serviceEndpoint', 'uri', 'base_url', 'baseUrl'];
+
+// Lower-cased service names -> spec spelling
+const SERVICE_NAMES = {
+  web: 'web',
+  website: 'web',
+  a2a: 'A2A',
+  mcp: 'MCP',
+  oasf: 'OASF',
+  ens: 'ENS',
+  did: 'DID',
+  email: 'email',
+  agentwallet: 'agentWallet',
+  wallet: 'agentWallet'
+};
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function present(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === 1) return true;
+  if (value === 'false' || value === 0) return false;
+  // An x402 payment config object means x402 is supported
+  if (isObject(value)) return true;
+  return undefined;
+}
+
+function toString(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+}
+
+function toStringList(value) {
+  if (typeof value === 'string') return [value];
+  if (Array.isArray(value)) return value.filter(v => typeof v === 'string');
+  return undefined;
+}
+
+// A wallet is an address, a CAIP-10 account ID (eip155:<chainId>:<address>)
+// or { address }, wherever it is given. The address comes back checksummed;
+// anything else, including a mixed-case address that fails its checksum, is
+// not a wallet.
+function toWallet(value) {
+  const text = toString(isObject(value) ? value.address : value);
+  const [, account = '', address] = text?.match(/^(eip155:\d+:)?(0x[0-9a-fA-F]{40})$/) || [];
+  if (!address) return undefined;
+  const hex = address.slice(2);
+  const mixedCase = hex !== hex.toLowerCase() && hex !== hex.toUpperCase();
+  if (mixedCase && getAddress(address) !== address) return undefined;
+  return `${account}${getAddress(address)}`;
+}
+
+const CONVERTERS = {
+  name: toString,
+  description: toString,
+  image: toString,
+  active: toBoolean,
+  x402Support: toBoolean,
+  supportedTrust: toStringList,
+  services: value => (Array.isArray(value) ? value : undefined),
+  agentWallet: toWallet,
+  registrations: value => (Array.isArray(value) ? value : undefined)
+};
+
+/**
+ * Normalize one service entry: name and endpoint move to their canonical
+ * keys, other keys are kept. Returns { service, sources } where sources maps
+ * name/endpoint to the key they were read from.
+ */
+function normalizeService(entry, path) {
+  if (!isObject(entry)) return { service: entry, sources: {} };
+
+  const service = { ...entry };
+  const sources = {};
+
+  const nameKey = SERVICE_NAME_KEYS.find(key => typeof entry[key] === 'string' && entry[key]);
+  if (nameKey) {
+    const raw = entry[nameKey];
+    if (nameKey !== 'name') delete service[nameKey];
+    service.name = SERVICE_NAMES[raw.toLowerCase()] || raw;
+    if (nameKey !== 'name' || service.name !== raw) sources.name = `${path}.${nameKey}`;
+  }
+
+  const endpointKey = SERVICE_ENDPOINT_KEYS.find(key => typeof entry[key] === 'string' && entry[key]);
+  if (endpointKey) {
+    if (endpointKey !== 'endpoint') {
+      delete service[endpointKey];
+      sources.endpoint = `${path}.${endpointKey}`;
+    }
+    service.endpoint = entry[endpointKey];
+  }
+
+  return { service, sources };
+}
+
+/**
+ * Map a raw registration onto the canonical model. Returns
+ * { metadata, sources }: metadata has only canonical keys (fields the file
+ * doesn't provide in any spelling are left out) and sources maps each of
+ * them to the raw key path it came from, e.g.
+ *   { x402Support: 'x402support', 'services[0].endpoint': 'endpoints[0].url' }
+ */
+export function normalizeMetadata(raw) {
+  const metadata = {};
+  const sources = {};
+  if (!isObject(raw)) return { metadata, sources };
+
+  if (raw.type !== undefined) {
+    metadata.type = raw.type;
+    sources.type = 'type';
+  }
+
+  for (const [field, keys] of Object.entries(FIELD_VARIANTS)) {
+    for (const key of keys) {
+      if (!present(raw[key])) continue;
+      const value = CONVERTERS[field](raw[key]);
+      if (value === undefined) continue;
+      metadata[field] = value;
+      sources[field] = key;
+      break;
+    }
+  }
+
+  if (metadata.services) {
+    const servicesKey = sources.services;
+    const services = [];
+    metadata.services.forEach((entry, i) => {
+      const { service, sources: serviceSources } = normalizeService(entry, `${servicesKey}[${i}]`);
+
+      // The wallet is a field of its own, not an endpoint to call
+      if (service?.name === 'agentWallet') {
+        const wallet = toWallet(service.endpoint);
+        if (!metadata.agentWallet && wallet) {
+          metadata.agentWallet = wallet;
+          sources.agentWallet = serviceSources.endpoint || `${servicesKey}[${i}].endpoint`;
+        }
+        return;
+      }
+
+      const at = `services[${services.length}]`;
+      for (const [key, from] of Object.entries(serviceSources)) sources[`${at}.${key}`] = from;
+      services.push(service);
+    });
+    metadata.services = services;
+  }
+
+  return { metadata, sources };
+}
+
+/**
+ * Agent fields read from a registration, after mapping misspelled and legacy
+ * keys onto the canonical ones. metadataSources says which raw key each
+ * field came from; rawMetadata keeps the file as published.
+ */
+export function metadataFields(id, rawMetadata) {
+  const { metadata, sources } = normalizeMetadata(rawMetadata);
+  return {
+    name: metadata.name || `Agent #${id}`,
+    description: metadata.description || '',
+    image: metadata.image || '',
+    active: metadata.active ?? true,
+    x402Support: metadata.x402Support ?? false,
+    services: metadata.services || [],
+    supportedTrust: metadata.supportedTrust || [],
+    agentWallet: metadata.agentWallet || null,
+    metadataSources: sources
+  };
+}
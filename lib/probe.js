@@ -0,0 +1,206 @@
+/**
+ * Service endpoint liveness probes
+ *
+ * Each probeable service gets a request that fits its protocol:
+ *
+ *   web   GET the page; any 2xx (after redirects) is up
+ *   A2A   GET the agent card (the endpoint itself if it names a card file,
+ *         otherwise /.well-known/agent-card.json on its origin); up when it
+ *         returns a JSON object
+ *   MCP   POST a JSON-RPC initialize; up on 2xx, or 401/403 since a server
+ *         that wants credentials is still running. A server that refuses
+ *         the POST (404/405) but opens an event stream on a GET speaks the
+ *         older HTTP+SSE transport, and is up too
+ *   OASF  GET the record; any 2xx is up
+ *
+ * Other services (ENS, DID, email...) aren't network endpoints and are
+ * skipped. Results are folded into a rolling per-endpoint history, from which
+ * uptime percentages and last-seen-up times are derived.
+ */
+
+import { safeFetch, FetchError } from './fetcher.js';
+import { agentCardUrl } from './a2a.js';
+import { opensEventStream, MCP_PROTOCOL_VERSION } from './mcp.js';
+
+export const PROBE_PROTOCOLS = ['web', 'A2A', 'MCP', 'OASF'];
+
+// Probes only need headers and small bodies
+const PROBE_MAX_BYTES = 256 * 1024;
+
+const MCP_INITIALIZE = JSON.stringify({
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: MCP_PROTOCOL_VERSION,
+    capabilities: {},
+    clientInfo: { name: 'erc8004-catalog', version: '2.0.0' }
+  }
+});
+
+/**
+ * True if the service is one we know how to probe and its endpoint is meant
+ * as an http(s) URL. Endpoints that then fail to parse are still probed, and
+ * recorded as bad_url.
+ */
+export function isProbeable(service) {
+  return PROBE_PROTOCOLS.includes(service?.name) &&
+    typeof service.endpoint === 'string' &&
+    /^https?:\/\//i.test(service.endpoint);
+}
+
+/**
+ * Lower-cased host of an endpoint URL, or null if it doesn't parse
+ */
+export function endpointHost(endpoint) {
+  try {
+    return new URL(endpoint).host.toLowerCase() || null;
+  } catch {
+    return null;
+  }
+}
+
+function requestFor(service) {
+  switch (service.name) {
+    case 'A2A':
+      return { url: agentCardUrl(service.endpoint), options: { headers: { Accept: 'application/json' } } };
+    case 'MCP':
+      return {
+        url: service.endpoint,
+        options: {
+          method: 'POST',
+          body: MCP_INITIALIZE,
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json, text/event-stream'
+          }
+        },
+        aliveStatuses: [401, 403]
+      };
+    default:
+      return { url: service.endpoint, options: {} };
+  }
+}
+
+/**
+ * Probe one service. Resolves to { at, up, status, latencyMs, error } and
+ * never throws.
+ */
+export async function probeService(service, { timeout = 10000, allowPrivate = false } = {}) {
+  const at = new Date().toISOString();
+  const started = Date.now();
+  const result = (up, status, error = null) => ({ at, up, status, latencyMs: Date.now() - started, error });
+
+  let req;
+  try {
+    if (!endpointHost(service.endpoint)) throw new Error('Malformed endpoint');
+    req = requestFor(service);
+  } catch {
+    return result(false, null, 'bad_url');
+  }
+
+  try {
+    const res = await safeFetch(req.url, { ...req.options, timeout, allowPrivate, maxBytes: PROBE_MAX_BYTES });
+    if (service.name === 'A2A') {
+      let card;
+      try {
+        card = JSON.parse(res.text);
+      } catch {}
+      if (!card || typeof card !== 'object' || Array.isArray(card)) return result(false, res.status, 'invalid_card');
+    }
+    return result(true, res.status);
+  } catch (err) {
+    if (err instanceof FetchError) {
+      if (err.reason === 'http_status' && req.aliveStatuses?.includes(err.status)) {
+        return result(true, err.status);
+      }
+      if (service.name === 'MCP' && (err.status === 404 || err.status === 405) &&
+          await opensEventStream(req.url, { timeout, allowPrivate })) {
+        return result(true, err.status);
+      }
+      return result(false, err.status, err.reason);
+    }
+    return result(false, null, 'network');
+  }
+}
+
+/**
+ * Run async tasks with at most `perHost` in flight for any one host and
+ * `total` overall. limit(host, fn) resolves to fn's result.
+ */
+export function createHostLimiter({ perHost = 2, total = 20 } = {}) {
+  const active = new Map();
+  let running = 0;
+  const waiting = [];
+
+  const canStart = host => running < total && (active.get(host) || 0) < perHost;
+
+  function next() {
+    for (let i = 0; i < waiting.length; i++) {
+      if (canStart(waiting[i].host)) {
+        const [task] = waiting.splice(i, 1);
+        start(task);
+        i--;
+      }
+    }
+  }
+
+  function start({ host, fn, resolve, reject }) {
+    running++;
+    active.set(host, (active.get(host) || 0) + 1);
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        running--;
+        active.set(host, active.get(host) - 1);
+        next();
+      });
+  }
+
+  return function limit(host, fn) {
+    return new Promise((resolve, reject) => {
+      waiting.push({ host, fn, resolve, reject });
+      next();
+    });
+  };
+}
+
+function uptimePercent(history) {
+  if (history.length === 0) return null;
+  const up = history.filter(h => h.up).length;
+  return Math.round((up / history.length) * 1000) / 10;
+}
+
+/**
+ * Fold a round of probe results into an agent's health record. `results` is
+ * [{ service, result }]; endpoints the agent no longer lists are dropped and
+ * each endpoint keeps its last `historySize` probes.
+ *
+ * Returns { live, uptime, lastProbedAt, lastSeenUp, endpoints }: live when any
+ * endpoint answered this round, uptime over every kept probe.
+ */
+export function updateHealth(previous, results, historySize) {
+  const byKey = new Map((previous?.endpoints || []).map(e => [`${e.name} ${e.endpoint}`, e]));
+
+  const endpoints = results.map(({ service, result }) => {
+    const old = byKey.get(`${service.name} ${service.endpoint}`);
+    const history = [...(old?.history || []), result].slice(-historySize);
+    return {
+      name: service.name,
+      endpoint: service.endpoint,
+      uptime: uptimePercent(history),
+      lastSeenUp: result.up ? result.at : old?.lastSeenUp || null,
+      history
+    };
+  });
+
+  const latest = values => values.filter(Boolean).sort().at(-1) || null;
+  return {
+    live: results.some(r => r.result.up),
+    uptime: uptimePercent(endpoints.flatMap(e => e.history)),
+    lastProbedAt: latest(results.map(r => r.result.at)),
+    lastSeenUp: latest(endpoints.map(e => e.lastSeenUp)),
+    endpoints
+  };
+}
@@ -0,0 +1,254 @@
+/**
+ * ERC-8004 registration file validator
+ *
+ * Checks a registration against the registration-v1 shape: the type URL,
+ * required fields, service objects, registrations entries and supportedTrust
+ * values. Each problem is an issue { severity, code, path, message }, and the
+ * issues decide the agent's compliance level:
+ *
+ *   compliant      no issues
+ *   partial        warnings only (missing recommended fields, legacy keys)
+ *   non_compliant  errors in a file that is recognisably a registration
+ *   invalid        not a registration at all (encrypted blob, package.json,
+ *                  an object with none of the registration fields)
+ */
+
+import { parseAccountId } from './agent-id.js';
+import { metadataFields } from './normalize.js';
+
+export const REGISTRATION_TYPE = 'https://eips.ethereum.org/EIPS/eip-8004#registration-v1';
+
+export const COMPLIANCE_LEVELS = ['compliant', 'partial', 'non_compliant', 'invalid'];
+
+export const BACKREF_STATUSES = ['verified', 'mismatched', 'missing'];
+
+export const TRUST_MODELS = ['reputation', 'crypto-economic', 'tee-attestation'];
+
+// Service names from the spec; others are allowed but flagged
+export const SERVICE_NAMES = ['web', 'A2A', 'MCP', 'OASF', 'ENS', 'DID', 'email', 'agentWallet'];
+
+// Services whose endpoint must be a URL
+const URL_SERVICES = ['web', 'A2A', 'MCP'];
+
+const AGENT_REGISTRY = /^eip155:\d+:0x[0-9a-fA-F]{40}$/;
+
+function isUrl(value) {
+  return /^(https?|ipfs|ipns|ar):\/\/\S+$/.test(value);
+}
+
+function checkService(service, path, issues) {
+  const issue = (severity, code, message, at = path) => issues.push({ severity, code, path: at, message });
+
+  if (!service || typeof service !== 'object' || Array.isArray(service)) {
+    return issue('error', 'service_not_object', 'Service must be an object');
+  }
+  if (typeof service.name !== 'string' || !service.name) {
+    issue('error', 'service_name_missing', 'Service needs a name', `${path}.name`);
+  } else if (!SERVICE_NAMES.includes(service.name)) {
+    issue('warning', 'service_name_unknown', `Unknown service name "${service.name}"`, `${path}.name`);
+  }
+  if (typeof service.endpoint !== 'string' || !service.endpoint) {
+    return issue('error', 'service_endpoint_missing', 'Service needs an endpoint', `${path}.endpoint`);
+  }
+  if (service.version !== undefined && typeof service.version !== 'string') {
+    issue('warning', 'service_version_type', 'Service version should be a string', `${path}.version`);
+  }
+
+  const { name, endpoint } = service;
+  if (URL_SERVICES.includes(name) && !isUrl(endpoint)) {
+    issue('error', 'service_endpoint_url', `${name} endpoint must be a URL`, `${path}.endpoint`);
+  } else if (name === 'ENS' && !/\.eth$/i.test(endpoint)) {
+    issue('warning', 'service_endpoint_ens', 'ENS endpoint should be an .eth name', `${path}.endpoint`);
+  } else if (name === 'DID' && !endpoint.startsWith('did:')) {
+    issue('warning', 'service_endpoint_did', 'DID endpoint should start with did:', `${path}.endpoint`);
+  } else if (name === 'email' && !/^[^@\s]+@[^@\s]+$/.test(endpoint.replace(/^mailto:/, ''))) {
+    issue('warning', 'service_endpoint_email', 'email endpoint should be an address', `${path}.endpoint`);
+  }
+}
+
+function checkRegistration(entry, path, issues) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    issues.push({ severity: 'error', code: 'registration_not_object', path, message: 'Registration entry must be an object' });
+    return;
+  }
+  const agentId = entry.agentId;
+  if (!(Number.isInteger(agentId) && agentId >= 0) && !(typeof agentId === 'string' && /^\d+$/.test(agentId))) {
+    issues.push({ severity: 'error', code: 'registration_agent_id', path: `${path}.agentId`, message: 'agentId must be a token ID' });
+  }
+  if (typeof entry.agentRegistry !== 'string' || !AGENT_REGISTRY.test(entry.agentRegistry)) {
+    issues.push({ severity: 'error', code: 'registration_registry', path: `${path}.agentRegistry`, message: 'agentRegistry must be eip155:<chainId>:<address>' });
+  }
+}
+
+/**
+ * Why a metadata object isn't a registration at all, or null if it might be
+ */
+function notARegistration(metadata) {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) return 'Registration is not a JSON object';
+  if (Object.keys(metadata).length === 0) return 'Registration is empty';
+  if ('ciphertext' in metadata && 'iv' in metadata) return 'Registration is an encrypted payload';
+  if (!metadata.type && (metadata.dependencies || metadata.devDependencies || metadata.scripts)) {
+    return 'Registration looks like a package.json';
+  }
+  const known = ['type', 'name', 'description', 'services', 'endpoints', 'registrations', 'supportedTrust'];
+  if (!known.some(key => key in metadata)) return 'No registration fields present';
+  return null;
+}
+
+/**
+ * Validate registration metadata. Returns { level, issues }.
+ */
+export function validateRegistration(metadata) {
+  const notRegistration = notARegistration(metadata);
+  if (notRegistration) {
+    return {
+      level: 'invalid',
+      issues: [{ severity: 'error', code: 'not_a_registration', path: '', message: notRegistration }]
+    };
+  }
+
+  const issues = [];
+  const error = (code, path, message) => issues.push({ severity: 'error', code, path, message });
+  const warning = (code, path, message) => issues.push({ severity: 'warning', code, path, message });
+
+  if (metadata.type === undefined) {
+    error('type_missing', 'type', 'Missing type');
+  } else if (metadata.type !== REGISTRATION_TYPE) {
+    // The pre-v1 draft type, or the right URL with the wrong case
+    const variants = [REGISTRATION_TYPE, REGISTRATION_TYPE.replace(/-v1$/, '')].map(t => t.toLowerCase());
+    const draft = typeof metadata.type === 'string' && variants.includes(metadata.type.toLowerCase());
+    if (draft) warning('type_variant', 'type', `type should be exactly ${REGISTRATION_TYPE}`);
+    else error('type_unknown', 'type', `type should be ${REGISTRATION_TYPE}`);
+  }
+
+  if (typeof metadata.name !== 'string' || !metadata.name.trim()) {
+    error('name_missing', 'name', 'Missing name');
+  }
+  if (typeof metadata.description !== 'string' || !metadata.description.trim()) {
+    error('description_missing', 'description', 'Missing description');
+  }
+  if (metadata.image === undefined || metadata.image === '') {
+    warning('image_missing', 'image', 'No image');
+  } else if (typeof metadata.image !== 'string') {
+    error('image_type', 'image', 'image must be a URI string');
+  }
+
+  // Early drafts called services "endpoints"
+  const servicesKey = metadata.services === undefined && metadata.endpoints !== undefined ? 'endpoints' : 'services';
+  const services = metadata[servicesKey];
+  if (servicesKey === 'endpoints') {
+    warning('services_legacy_key', 'endpoints', 'endpoints is the pre-v1 name for services');
+  }
+  if (services === undefined) {
+    error('services_missing', 'services', 'Missing services');
+  } else if (!Array.isArray(services)) {
+    error('services_type', servicesKey, `${servicesKey} must be an array`);
+  } else {
+    services.forEach((service, i) => checkService(service, `${servicesKey}[${i}]`, issues));
+  }
+
+  if (metadata.registrations === undefined) {
+    warning('registrations_missing', 'registrations', 'No registrations back-reference');
+  } else if (!Array.isArray(metadata.registrations)) {
+    error('registrations_type', 'registrations', 'registrations must be an array');
+  } else {
+    metadata.registrations.forEach((entry, i) => checkRegistration(entry, `registrations[${i}]`, issues));
+  }
+
+  if (metadata.supportedTrust !== undefined) {
+    if (!Array.isArray(metadata.supportedTrust)) {
+      error('supported_trust_type', 'supportedTrust', 'supportedTrust must be an array');
+    } else {
+      metadata.supportedTrust.forEach((model, i) => {
+        if (!TRUST_MODELS.includes(model)) {
+          warning('supported_trust_unknown', `supportedTrust[${i}]`, `Unknown trust model "${model}"`);
+        }
+      });
+    }
+  }
+
+  const booleans = { active: 'active_type', x402Support: 'x402_support_type' };
+  for (const [key, code] of Object.entries(booleans)) {
+    if (metadata[key] !== undefined && typeof metadata[key] !== 'boolean') {
+      warning(code, key, `${key} should be a boolean`);
+    }
+  }
+
+  let level = 'compliant';
+  if (issues.some(i => i.severity === 'error')) level = 'non_compliant';
+  else if (issues.length > 0) level = 'partial';
+
+  return { level, issues };
+}
+
+/**
+ * Where a registrations entry points: { chainId, registry, agentId }, any of
+ * them null if the entry doesn't say. Besides the v1 CAIP-10 agentRegistry,
+ * early files used { chainId, registryAddress | contract }.
+ */
+function backReference(entry) {
+  const caip = parseAccountId(entry.agentRegistry);
+  const legacyAddress = [entry.registryAddress, entry.contract].find(a => /^0x[0-9a-fA-F]{40}$/.test(a ?? ''));
+  const legacyChain = /^\d+$/.test(String(entry.chainId ?? '')) ? Number(entry.chainId) : null;
+
+  let agentId = null;
+  if (/^\d+$/.test(String(entry.agentId ?? '').trim())) agentId = BigInt(String(entry.agentId).trim()).toString();
+
+  return {
+    chainId: caip?.namespace === 'eip155' ? caip.chainId : legacyChain,
+    registry: caip?.namespace === 'eip155' ? caip.address : legacyAddress?.toLowerCase() ?? null,
+    agentId
+  };
+}
+
+/**
+ * Check a registration's `registrations` back-references against the token
+ * actually being synced ({ chainId, registry, tokenId }). Each entry gets a
+ * result: match, agent_id (right registry, someone else's ID), registry
+ * (right chain, another contract), other_chain, no_agent_id or malformed.
+ *
+ * Returns { status, entries }: verified if any entry matches, missing if
+ * there are no usable entries, mismatched otherwise (the file only names
+ * other tokens, registries or chains, as copy-pasted files do).
+ */
+export function checkBackReferences(registrations, { chainId, registry, tokenId }) {
+  if (!Array.isArray(registrations) || registrations.length === 0) {
+    return { status: 'missing', entries: [] };
+  }
+
+  const entries = registrations.map((entry, index) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return { index, result: 'malformed' };
+    const ref = backReference(entry);
+    let result;
+    if (ref.chainId === null || ref.registry === null) result = 'malformed';
+    else if (ref.chainId !== Number(chainId)) result = 'other_chain';
+    else if (ref.registry !== registry.toLowerCase()) result = 'registry';
+    else if (ref.agentId === null) result = 'no_agent_id';
+    else if (ref.agentId !== String(tokenId)) result = 'agent_id';
+    else result = 'match';
+    return { index, ...ref, result };
+  });
+
+  let status = 'mismatched';
+  if (entries.some(e => e.result === 'match')) status = 'verified';
+  else if (entries.every(e => e.result === 'malformed' || e.result === 'no_agent_id')) status = 'missing';
+  return { status, entries };
+}
+
+/**
+ * Fill in what a record fetched before the validator, the normalizer or the
+ * back-reference check existed is missing, from its rawMetadata. Error and
+ * removed records are left alone. Returns true if the record changed.
+ */
+export function backfillRecord(agent, chain) {
+  if (agent.removed || agent.error || !agent.rawMetadata || !chain) return false;
+  if (agent.compliance && agent.metadataSources && agent.registrationCheck) return false;
+  agent.compliance ||= validateRegistration(agent.rawMetadata);
+  agent.registrationCheck ||= checkBackReferences(agent.rawMetadata.registrations, {
+    chainId: chain.chainId,
+    registry: chain.registries.identity,
+    tokenId: agent.id
+  });
+  if (!agent.metadataSources) Object.assign(agent, metadataFields(agent.id, agent.rawMetadata));
+  return true;
+}
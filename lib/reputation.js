@@ -0,0 +1,74 @@
+/**
+ * ERC-8004 Reputation Registry
+ *
+ * Feedback is left by client addresses against an agent ID; each client's
+ * entries are numbered by feedbackIndex and can later be revoked. Scores are
+ * fixed-point: value / 10^valueDecimals.
+ */
+
+import { parseAbiItem } from 'viem';
+
+export const NEW_FEEDBACK_EVENT = parseAbiItem(
+  'event NewFeedback(uint256 indexed agentId, address indexed clientAddress, uint64 feedbackIndex, int128 value, uint8 valueDecimals, string indexed indexedTag1, string tag1, string tag2, string endpoint, string feedbackURI, bytes32 feedbackHash)'
+);
+
+export const FEEDBACK_REVOKED_EVENT = parseAbiItem(
+  'event FeedbackRevoked(uint256 indexed agentId, address indexed clientAddress, uint64 indexed feedbackIndex)'
+);
+
+export const FEEDBACK_EVENTS = [NEW_FEEDBACK_EVENT, FEEDBACK_REVOKED_EVENT];
+
+// Feedback entries compared against everything older for the trend
+export const RECENT_WINDOW = 10;
+
+export function feedbackKey(client, feedbackIndex) {
+  return `${client.toLowerCase()}:${feedbackIndex}`;
+}
+
+export function feedbackFromLog(log) {
+  const { clientAddress, feedbackIndex, value, valueDecimals } = log.args;
+  return {
+    client: clientAddress,
+    feedbackIndex: Number(feedbackIndex),
+    value: value.toString(),
+    valueDecimals,
+    score: Number(value) / 10 ** valueDecimals,
+    tag1: log.args.tag1 || '',
+    tag2: log.args.tag2 || '',
+    endpoint: log.args.endpoint || '',
+    feedbackUri: log.args.feedbackURI || '',
+    feedbackHash: log.args.feedbackHash,
+    blockNumber: Number(log.blockNumber),
+    txHash: log.transactionHash,
+    revoked: false,
+    revokedAt: null
+  };
+}
+
+function mean(values) {
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((a, b) => a + b, 0) / values.length * 100) / 100;
+}
+
+/**
+ * Aggregate an agent's feedback. Revoked entries are counted but not scored.
+ * trend is the mean of the last RECENT_WINDOW entries minus the mean of the
+ * ones before them, or null until there are more than RECENT_WINDOW.
+ */
+export function summarizeReputation(feedback) {
+  const active = feedback
+    .filter(f => !f.revoked)
+    .sort((a, b) => a.blockNumber - b.blockNumber);
+  const scores = active.map(f => f.score);
+  const recent = scores.slice(-RECENT_WINDOW);
+  const earlier = scores.slice(0, -RECENT_WINDOW);
+
+  return {
+    count: active.length,
+    revoked: feedback.length - active.length,
+    clients: new Set(active.map(f => f.client.toLowerCase())).size,
+    meanScore: mean(scores),
+    recentMeanScore: mean(recent),
+    trend: earlier.length > 0 ? Math.round((mean(recent) - mean(earlier)) * 100) / 100 : null
+  };
+}
@@ -0,0 +1,211 @@
+/**
+ * RPC provider pool
+ *
+ * Each chain's RPCs (lib/chains.js) form a pool, and every call goes to the
+ * healthiest provider available: the lowest average latency plus a penalty
+ * for its recent error rate. A provider that fails FAILURE_THRESHOLD calls in
+ * a row, or answers with a rate limit, has its circuit opened and gets no
+ * calls until its cooldown is over. Then a single trial call either closes
+ * the circuit or reopens it for twice as long. Providers with a request
+ * budget get no calls once it is spent. When every circuit is open, a call
+ * waits for the first to reopen, up to `maxWait`; past that, or with every
+ * budget spent, it fails with a PoolExhaustedError.
+ *
+ * Reverts are answers, not failures, and are thrown straight back, as are
+ * errors the caller says are its own (`isCallerError`, e.g. a getLogs range
+ * that is too wide); neither counts against the provider.
+ */
+
+import { createPublicClient, http } from 'viem';
+import { rpcProviders } from './chains.js';
+
+const FAILURE_THRESHOLD = 3;
+const BASE_COOLDOWN_MS = 30 * 1000;
+const MAX_COOLDOWN_MS = 10 * 60 * 1000;
+
+// Added to a provider's score per unit of error rate, so one that fails half
+// its calls ranks behind one that is 2.5s slower
+const ERROR_PENALTY_MS = 5000;
+
+// Weight of the latest call in the latency and error rate averages
+const SMOOTHING = 0.2;
+
+// Longest a call waits for an open circuit before giving up
+const MAX_WAIT_MS = 2 * 60 * 1000;
+
+// How often to look again while the only reopened circuit is on its trial call
+const TRIAL_POLL_MS = 500;
+
+const RATE_LIMIT = /rate.?limit|too many requests|request limit|quota|exceeded .*(capacity|credits)|compute units/i;
+
+// getLogs errors meaning "ask for fewer blocks". Only explicit block-range and
+// result-count messages: a bare "limit exceeded" is as likely a quota.
+const RANGE_ERROR = /block range|range (is )?too (large|wide)|more than \d+ (results|logs)|too many (results|logs|blocks)/i;
+
+export class PoolExhaustedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PoolExhaustedError';
+  }
+}
+
+/**
+ * Whether a getLogs error asks for a smaller block range
+ */
+export function isRangeError(err) {
+  return RANGE_ERROR.test(err?.message ?? '');
+}
+
+function isRevert(err) {
+  return Boolean(err?.walk?.(e => e.name === 'ContractFunctionRevertedError'));
+}
+
+/**
+ * For a rate-limit response, how long the provider asked us to stay away
+ * (0 if it didn't say); null for any other error
+ */
+function rateLimitDelay(err) {
+  const response = err?.walk?.(e => e.status !== undefined);
+  const message = [err?.details, err?.shortMessage, err?.message].filter(Boolean).join(' ');
+  if (response?.status !== 429 && !RATE_LIMIT.test(message)) return null;
+  const retryAfter = Number(response?.headers?.get?.('retry-after'));
+  return retryAfter > 0 ? retryAfter * 1000 : 0;
+}
+
+function score(provider) {
+  return provider.latency + provider.errorRate * ERROR_PENALTY_MS;
+}
+
+/**
+ * A provider pool for `chain`. Budgets come from the chain's RPC entries,
+ * with `budget` (requests per provider per run) for entries that set none.
+ *
+ * pool.call(client => client.getLogs(...)) runs the call on the best
+ * provider, failing over to the next best for up to `retries` attempts;
+ * pool.stats() reports each provider's requests, errors, rate limits,
+ * average latency and circuit state.
+ */
+export function createProviderPool(chain, { env, budget = Infinity, retries = 3, maxWait = MAX_WAIT_MS, isCallerError = () => false } = {}) {
+  const providers = rpcProviders(chain, env).map(({ url, budget: own }) => ({
+    host: new URL(url).host,
+    client: createPublicClient({ transport: http(url, { retryCount: 0 }) }),
+    budget: own ?? budget,
+    requests: 0,
+    errors: 0,
+    rateLimited: 0,
+    circuitOpens: 0,
+    answered: 0,
+    latency: 0,
+    totalLatency: 0,
+    errorRate: 0,
+    failures: 0,
+    state: 'closed',
+    openUntil: 0,
+    cooldown: BASE_COOLDOWN_MS,
+    trial: false
+  }));
+
+  const withBudget = () => providers.filter(p => p.requests < p.budget);
+
+  /**
+   * The provider to try next: the best one whose circuit lets a call
+   * through. If every circuit is open, waits for the first to reopen.
+   */
+  async function pick() {
+    const deadline = Date.now() + maxWait;
+    for (;;) {
+      const candidates = withBudget();
+      if (candidates.length === 0) throw new PoolExhaustedError(`RPC budget spent on every ${chain.name} provider`);
+      const now = Date.now();
+      const ready = candidates.filter(p => p.state === 'closed' || (now >= p.openUntil && !p.trial));
+      if (ready.length > 0) return ready.sort((a, b) => score(a) - score(b))[0];
+
+      const wait = Math.max(Math.min(...candidates.map(p => p.openUntil)) - now, TRIAL_POLL_MS);
+      if (now + wait > deadline) {
+        throw new PoolExhaustedError(`Every ${chain.name} RPC circuit is open for another ${Math.ceil(wait / 1000)}s`);
+      }
+      await new Promise(r => setTimeout(r, wait));
+    }
+  }
+
+  function open(provider, cooldown) {
+    provider.state = 'open';
+    provider.circuitOpens++;
+    provider.openUntil = Date.now() + cooldown;
+    provider.cooldown = Math.min(Math.max(cooldown, provider.cooldown) * 2, MAX_COOLDOWN_MS);
+  }
+
+  function succeeded(provider, ms) {
+    provider.answered++;
+    provider.totalLatency += ms;
+    provider.latency = provider.answered === 1 ? ms : provider.latency * (1 - SMOOTHING) + ms * SMOOTHING;
+    provider.errorRate *= 1 - SMOOTHING;
+    provider.failures = 0;
+    if (provider.state === 'open') {
+      provider.state = 'closed';
+      provider.cooldown = BASE_COOLDOWN_MS;
+    }
+  }
+
+  function failed(provider, err) {
+    provider.errors++;
+    provider.failures++;
+    provider.errorRate = provider.errorRate * (1 - SMOOTHING) + SMOOTHING;
+    const delay = rateLimitDelay(err);
+    if (delay !== null) {
+      provider.rateLimited++;
+      open(provider, Math.max(delay, provider.cooldown));
+    } else if (provider.state === 'open' || provider.failures >= FAILURE_THRESHOLD) {
+      open(provider, provider.cooldown);
+    }
+  }
+
+  async function call(fn) {
+    let lastError;
+    let last = null;
+    for (let attempt = 0; attempt < retries; attempt++) {
+      const provider = await pick();
+      // Back to the provider that just failed: nothing better is left, so
+      // back off first
+      if (provider === last) {
+        await new Promise(r => setTimeout(r, 500 * (attempt + 1)));
+      }
+      const trial = provider.state === 'open';
+      if (trial) provider.trial = true;
+
+      provider.requests++;
+      const started = Date.now();
+      try {
+        const result = await fn(provider.client);
+        succeeded(provider, Date.now() - started);
+        return result;
+      } catch (err) {
+        if (isRevert(err) || isCallerError(err)) {
+          succeeded(provider, Date.now() - started);
+          throw err;
+        }
+        failed(provider, err);
+        lastError = err;
+        last = provider;
+      } finally {
+        if (trial) provider.trial = false;
+      }
+    }
+    throw lastError;
+  }
+
+  function stats() {
+    return providers.map(p => ({
+      host: p.host,
+      requests: p.requests,
+      errors: p.errors,
+      rateLimited: p.rateLimited,
+      circuitOpens: p.circuitOpens,
+      avgLatencyMs: p.answered > 0 ? Math.round(p.totalLatency / p.answered) : null,
+      state: p.state,
+      budget: Number.isFinite(p.budget) ? p.budget : null
+    }));
+  }
+
+  return { call, stats };
+}
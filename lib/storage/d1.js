@@ -0,0 +1,74 @@
+/**
+ * Cloudflare D1 sink
+ *
+ * Writes agent records to D1 through `wrangler d1 execute`: bound statements
+ * go out as generated SQL files, and queries as --command --json. `local`
+ * targets wrangler's local database, as --local does for the other D1
+ * scripts. The schema must be current (npm run db:migrate).
+ */
+
+import { writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { execFileSync } from 'child_process';
+import { bind } from './sql.js';
+import { createSqlSink } from './sql-sink.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+// SQL per --file. Wrangler's local runtime has been seen to crash on files
+// of upserts much over 1 MB, so local files are kept smaller.
+const MAX_FILE_LENGTH = 5 * 1024 * 1024;
+const MAX_LOCAL_FILE_LENGTH = 1024 * 1024;
+
+export function createD1Sink({ local = false, database = 'erc8004-catalog' } = {}) {
+  const maxFileLength = local ? MAX_LOCAL_FILE_LENGTH : MAX_FILE_LENGTH;
+
+  function wrangler(args) {
+    try {
+      return execFileSync('wrangler', ['d1', 'execute', database, ...(local ? ['--local'] : []), ...args], {
+        cwd: ROOT,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        // wrangler reports on every statement, and the local runtime can log
+        // as much again to stderr
+        maxBuffer: 256 * 1024 * 1024,
+        encoding: 'utf8'
+      });
+    } catch (err) {
+      // wrangler's own message is the [ERROR] line, after its warnings
+      const message = String(err.stderr).replace(/\x1b\[[0-9;]*m/g, '').split('\n').find(line => line.includes('[ERROR]'));
+      throw new Error(message?.replace(/^.*\[ERROR\]\s*/, '') || err.message);
+    }
+  }
+
+  async function query(statement) {
+    return JSON.parse(wrangler(['--command', bind(statement), '--json']))[0]?.results || [];
+  }
+
+  async function execute(statements) {
+    const dir = mkdtempSync(join(tmpdir(), 'd1-sink-'));
+    try {
+      let batch = [];
+      let length = 0;
+      const flush = () => {
+        const file = join(dir, 'batch.sql');
+        writeFileSync(file, batch.join('\n'));
+        wrangler([`--file=${file}`]);
+        batch = [];
+        length = 0;
+      };
+      for (const statement of statements) {
+        const sql = `${bind(statement)};`;
+        if (batch.length > 0 && length + sql.length > maxFileLength) flush();
+        batch.push(sql);
+        length += sql.length;
+      }
+      if (batch.length > 0) flush();
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  return createSqlSink({ name: local ? 'D1 (local)' : 'D1', query, execute });
+}
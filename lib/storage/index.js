@@ -0,0 +1,61 @@
+/**
+ * Storage adapters
+ *
+ * The sync engine (scripts/sync.mjs) keeps every agent record in the JSON
+ * store (json.js): it reads previous records from there and writes each one
+ * as soon as it changes. What a run wrote or deleted is then handed to each
+ * sink picked with --sink, so every target ends the run with the same data:
+ *
+ *   d1      Cloudflare D1 through wrangler (--local for the local database)
+ *   sqlite  a local SQLite file through the sqlite3 CLI (SQLITE_FILE)
+ *
+ * A sink is { name, write, checkpoints, agentIds }:
+ *
+ *   write({ agents, deleted, lastSync, checkpoints })
+ *                        agents are full records, deleted are agent IDs and
+ *                        checkpoints the block each chain is synced to, by
+ *                        chain ID, all but agents optional; resolves to
+ *                        { inserted, updated, unchanged, deleted }
+ *   checkpoints()        the checkpoints it last recorded
+ *   agentIds(chainId)    every agent it has for a chain
+ *
+ * SQL databases get all of this from createSqlSink (sql-sink.js). Adding a
+ * sink is a module here and an entry in SINKS. Scripts that refresh fields of
+ * records the sync wrote (probes, images) hand them over with writeAgents.
+ */
+
+import { createD1Sink } from './d1.js';
+import { createSqliteSink } from './sqlite.js';
+
+export const SINKS = {
+  d1: ({ argv }) => createD1Sink({ local: argv.includes('--local') }),
+  sqlite: ({ env }) => createSqliteSink({ file: env.SQLITE_FILE || 'catalog.sqlite' })
+};
+
+/**
+ * Sinks named by --sink d1,sqlite (or repeated --sink flags) in `argv`
+ */
+export function createSinks(argv = process.argv, env = process.env) {
+  const names = [];
+  argv.forEach((arg, i) => {
+    if (arg === '--sink' && argv[i + 1]) names.push(...argv[i + 1].split(','));
+    else if (arg.startsWith('--sink=')) names.push(...arg.slice(7).split(','));
+  });
+  return [...new Set(names.map(n => n.trim()).filter(Boolean))].map(name => {
+    if (!SINKS[name]) throw new Error(`Unknown sink: ${name} (expected ${Object.keys(SINKS).join(', ')})`);
+    return SINKS[name]({ argv, env });
+  });
+}
+
+/**
+ * Write full agent records to a sink `batchSize` at a time, deleting nothing
+ * and leaving checkpoints alone. Resolves to the summed write counts.
+ */
+export async function writeAgents(sink, agents, { batchSize = 1000 } = {}) {
+  const totals = { inserted: 0, updated: 0, unchanged: 0, deleted: 0 };
+  for (let i = 0; i < agents.length; i += batchSize) {
+    const result = await sink.write({ agents: agents.slice(i, i + batchSize) });
+    for (const key of Object.keys(totals)) totals[key] += result[key];
+  }
+  return totals;
+}
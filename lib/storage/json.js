@@ -0,0 +1,100 @@
+/**
+ * JSON file store
+ *
+ * One file per agent under data/agents/<chainId>/<tokenId>.json. This is the
+ * sync engine's working copy: previous records are read back from here and
+ * every record is written as soon as it changes. The store remembers which
+ * agents a run wrote or deleted, so the same changes can be handed to the
+ * other sinks afterwards.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs';
+import { join, dirname } from 'path';
+import { chainIdFor, formatAgentId, parseAgentId } from '../agent-id.js';
+
+// index.json checkpoints from before per-chain config
+const LEGACY_CHECKPOINTS = { ethereum: 'ethLastBlock', base: 'baseLastBlock' };
+
+/**
+ * The last block the dataset was synced to on `chain`, per its index.json
+ */
+export function indexCheckpoint(index, chain) {
+  return index.chains?.[chain.chainId]?.lastBlock ?? index[LEGACY_CHECKPOINTS[chain.key]] ?? 0;
+}
+
+export function createJsonStore(dataDir) {
+  const agentsDir = join(dataDir, 'agents');
+  const written = new Set();
+  const deleted = new Set();
+
+  function path(chainId, tokenId) {
+    return join(agentsDir, String(chainId), `${tokenId}.json`);
+  }
+
+  /**
+   * The agent's record, or null if there is none
+   */
+  function read(chainId, tokenId) {
+    const file = path(chainId, tokenId);
+    return existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : null;
+  }
+
+  function write(agent) {
+    const file = path(agent.chainId, agent.id);
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, JSON.stringify(agent, null, 2));
+    written.add(agent.agentId);
+    deleted.delete(agent.agentId);
+  }
+
+  function remove(chainId, tokenId) {
+    const file = path(chainId, tokenId);
+    if (existsSync(file)) unlinkSync(file);
+    const agentId = formatAgentId(chainId, tokenId);
+    deleted.add(agentId);
+    written.delete(agentId);
+  }
+
+  /**
+   * Every agent ID on file for the given chain IDs
+   */
+  function list(chainIds) {
+    const ids = [];
+    for (const chainId of chainIds) {
+      const dir = join(agentsDir, String(chainId));
+      if (!existsSync(dir)) continue;
+      for (const file of readdirSync(dir)) {
+        if (file.endsWith('.json')) ids.push(formatAgentId(chainId, file.replace('.json', '')));
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Every record on file, one at a time. Records still in the flat layout
+   * from before chain-scoped IDs (data/agents/<tokenId>.json) get their IDs
+   * as scripts/migrate-chain-ids.mjs would give them, but stay where they
+   * are; those it would drop (no known chain) are skipped.
+   */
+  function* records() {
+    if (!existsSync(agentsDir)) return;
+    const seen = new Set();
+    const entries = readdirSync(agentsDir, { withFileTypes: true });
+    for (const entry of entries.filter(e => e.isDirectory())) {
+      for (const agentId of list([entry.name])) {
+        const { chainId, tokenId } = parseAgentId(agentId);
+        seen.add(agentId);
+        yield read(chainId, tokenId);
+      }
+    }
+    for (const entry of entries.filter(e => e.isFile() && e.name.endsWith('.json'))) {
+      const agent = JSON.parse(readFileSync(join(agentsDir, entry.name), 'utf8'));
+      const chainId = chainIdFor(agent.chain);
+      if (chainId === null) continue;
+      const agentId = formatAgentId(chainId, agent.id);
+      if (!seen.has(agentId)) yield { agentId, chainId, ...agent };
+    }
+  }
+
+  return { path, read, write, remove, list, records, written, deleted };
+}
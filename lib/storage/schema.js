@@ -0,0 +1,30 @@
+/**
+ * Database schema files
+ *
+ * schema.sql creates a database at the latest version; migrations/NNNN_*.sql
+ * upgrade older ones. The applied version is kept in
+ * sync_state.schema_version. Shared by scripts/migrate-d1.mjs (D1) and the
+ * SQLite sink.
+ */
+
+import { readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+export const SCHEMA_FILE = join(ROOT, 'schema.sql');
+export const MIGRATIONS_DIR = join(ROOT, 'migrations');
+
+export const SCHEMA_VERSION_QUERY = "SELECT value FROM sync_state WHERE key = 'schema_version'";
+
+/**
+ * Migrations newer than `version`, oldest first, as [{ file, path, version }]
+ */
+export function pendingMigrations(version) {
+  return readdirSync(MIGRATIONS_DIR)
+    .filter(f => /^\d{4}_.*\.sql$/.test(f))
+    .sort()
+    .map(file => ({ file, path: join(MIGRATIONS_DIR, file), version: parseInt(file.slice(0, 4)) }))
+    .filter(m => m.version > version);
+}
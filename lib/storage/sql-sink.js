@@ -0,0 +1,90 @@
+/**
+ * What the D1 and SQLite sinks share
+ *
+ * Every agents row carries a content hash (see agentRows in sql.js), so a
+ * write skips records whose rows are already current and reports how many
+ * rows it inserted, updated, left unchanged and deleted. The block each
+ * chain was synced to is kept in sync_state as last_block_<chainId>, written
+ * with the data it covers; the sync engine compares it with its own
+ * checkpoints to find a sink that missed a run.
+ *
+ * A database is { query(sql), execute(statements) }: query resolves to the
+ * rows of one statement, execute runs bound statements in order and fails
+ * at the first error.
+ */
+
+import { parseAgentId } from '../agent-id.js';
+import { agentRows, writeStatements, syncStateStatement } from './sql.js';
+
+const CHECKPOINT_PREFIX = 'last_block_';
+
+export function createSqlSink({ name, query, execute }) {
+  // Content hash of every agents row, by chain ID, loaded once per chain
+  const hashes = new Map();
+
+  async function stored(chainId) {
+    if (!hashes.has(chainId)) {
+      const rows = await query({ sql: 'SELECT id, content_hash FROM agents WHERE chain_id = ?', params: [chainId] });
+      hashes.set(chainId, new Map(rows.map(r => [r.id, r.content_hash])));
+    }
+    return hashes.get(chainId);
+  }
+
+  /**
+   * The block each chain was synced to, by chain ID
+   */
+  async function checkpoints() {
+    const rows = await query({ sql: 'SELECT key, value FROM sync_state WHERE key LIKE ?', params: [`${CHECKPOINT_PREFIX}%`] });
+    return Object.fromEntries(rows.map(r => [r.key.slice(CHECKPOINT_PREFIX.length), parseInt(r.value)]));
+  }
+
+  /**
+   * IDs of every agent the sink has for a chain
+   */
+  async function agentIds(chainId) {
+    return [...(await stored(chainId)).keys()];
+  }
+
+  /**
+   * Write `agents` (full records) and delete `deleted` (agent IDs); with
+   * `checkpoints` ({ chainId: block }) and `lastSync`, record them once the
+   * rows are in
+   */
+  async function write({ agents, deleted = [], lastSync = null, checkpoints = {} }) {
+    const now = Math.floor(Date.now() / 1000);
+    const summary = { inserted: 0, updated: 0, unchanged: 0, deleted: 0 };
+    const changed = [];
+    const removed = new Set(deleted);
+
+    for (const agent of agents) {
+      const rows = agentRows(agent, now);
+      if (!rows) {
+        removed.add(agent.agentId);
+        continue;
+      }
+      const previous = (await stored(agent.chainId)).get(agent.agentId);
+      if (previous === rows.row.content_hash) {
+        summary.unchanged++;
+      } else {
+        changed.push(rows);
+        if (previous === undefined) summary.inserted++;
+        else summary.updated++;
+      }
+    }
+    for (const agentId of removed) {
+      if ((await stored(parseAgentId(agentId).chainId)).has(agentId)) summary.deleted++;
+    }
+
+    await execute([
+      ...writeStatements(changed, [...removed]),
+      ...Object.entries(checkpoints).map(([chainId, block]) => syncStateStatement(`${CHECKPOINT_PREFIX}${chainId}`, block)),
+      ...(lastSync ? [syncStateStatement('last_sync', lastSync)] : [])
+    ]);
+
+    for (const { row } of changed) hashes.get(row.chain_id).set(row.id, row.content_hash);
+    for (const agentId of removed) hashes.get(parseAgentId(agentId).chainId).delete(agentId);
+    return summary;
+  }
+
+  return { name, checkpoints, agentIds, write };
+}
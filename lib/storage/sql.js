@@ -0,0 +1,297 @@
+/**
+ * Agent records as SQL
+ *
+ * Maps the sync engine's agent records (the JSON files under data/agents)
+ * onto the tables in schema.sql. D1 and SQLite share the dialect, so both
+ * sinks run these statements. Each agent's rows in the child tables
+ * (transfers, feedback, validations, skills, tools) are replaced wholesale,
+ * which also clears anything a reorg took back.
+ *
+ * Statements are { sql, params }: values are never spliced into the SQL by
+ * hand but bound to its ? placeholders, by bind() for the sinks that feed
+ * SQL text to a command line tool. Rows are written many to a statement.
+ */
+
+import { createHash } from 'crypto';
+import { normalizeMetadata } from '../normalize.js';
+import { skillSearchText } from '../a2a.js';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Tables keyed by agent_id, cleared when an agent is rewritten or deleted
+const CHILD_TABLES = ['agent_transfers', 'feedback', 'validations', 'agent_skills', 'agent_tools', 'agent_reputation', 'agent_validation'];
+
+// D1 rejects statements over 100 KB (UTF-8 bytes of the bound SQL);
+// multi-row inserts stop well short of it
+export const MAX_STATEMENT_LENGTH = 90 * 1024;
+
+// Agent IDs per DELETE ... WHERE agent_id IN (...)
+const IDS_PER_DELETE = 100;
+
+/**
+ * A value as a SQL literal. Text with control characters (a NUL from
+ * on-chain metadata would cut a statement short) goes in as hex.
+ */
+export function sqlValue(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+  const text = String(value);
+  if (/[\x00-\x08\x0b\x0c\x0e-\x1f]/.test(text)) return `CAST(X'${Buffer.from(text, 'utf8').toString('hex')}' AS TEXT)`;
+  return `'${text.replace(/'/g, "''")}'`;
+}
+
+/**
+ * A statement's SQL with its params bound, for tools that only take SQL text
+ */
+export function bind({ sql, params = [] }) {
+  let i = 0;
+  const text = sql.replace(/\?/g, () => sqlValue(params[i++]));
+  if (i !== params.length) throw new Error(`${params.length} params for ${i} placeholders: ${sql.slice(0, 80)}`);
+  return text;
+}
+
+function jsonValue(value) {
+  return value === null || value === undefined ? null : JSON.stringify(value);
+}
+
+/**
+ * A service detail (A2A card, MCP report) without the sync's bookkeeping;
+ * null if a failed fetch left nothing else
+ */
+function detail(value, bookkeeping) {
+  if (!value) return null;
+  const rest = Object.fromEntries(Object.entries(value).filter(([key]) => !bookkeeping.includes(key)));
+  return Object.keys(rest).length > 0 ? rest : null;
+}
+
+/**
+ * The agents row for a record, or null for a record with no owner yet (an
+ * error record for a token never seen in a transfer)
+ */
+export function agentRow(agent, now = Math.floor(Date.now() / 1000)) {
+  const owner = agent.owner || agent.ownerHistory?.[agent.ownerHistory.length - 1]?.to;
+  if (!owner) return null;
+
+  const raw = agent.rawMetadata ?? null;
+  const card = detail(agent.a2aCard, ['source', 'fetchedAt', 'error', 'failedAt']);
+  const mcp = detail(agent.mcp, ['fetchedAt', 'error', 'failedAt']);
+  return {
+    id: agent.agentId,
+    chain_id: agent.chainId,
+    token_id: String(agent.id),
+    chain: agent.chain,
+    owner,
+    name: agent.name || null,
+    description: agent.description ? agent.description.slice(0, 1000) : null,
+    metadata_uri: agent.uri ?? null,
+    metadata_json: jsonValue(raw),
+    normalized_json: raw && typeof raw === 'object' ? jsonValue(normalizeMetadata(raw).metadata) : null,
+    metadata_sources: jsonValue(agent.metadataSources),
+    removed: agent.removed || owner === ZERO_ADDRESS,
+    active: agent.active ?? true,
+    x402_support: Boolean(agent.x402Support),
+    services: jsonValue(agent.services),
+    registered_block: agent.registeredBlock ?? null,
+    tx_hash: agent.txHash ?? null,
+    compliance: agent.compliance?.level ?? null,
+    compliance_issues: jsonValue(agent.compliance?.issues),
+    registration_check: agent.registrationCheck?.status ?? null,
+    registration_refs: jsonValue(agent.registrationCheck?.entries),
+    domain_verified: agent.domainVerification?.verified.length > 0,
+    verified_domains: jsonValue(agent.domainVerification?.verified),
+    domain_checks: jsonValue(agent.domainVerification?.domains),
+    owner_ens: agent.ownerEns ?? null,
+    ens_name: agent.ens?.service?.name ?? null,
+    ens_address: agent.ens?.service?.address ?? null,
+    ens_owner_match: agent.ens?.service?.matchesOwner ?? null,
+    image_status: agent.imageCheck?.status ?? null,
+    image_thumbnail: agent.imageCheck?.thumbnail ?? null,
+    image_error: agent.imageCheck?.error ?? null,
+    live: Boolean(agent.health?.live),
+    uptime: agent.health?.uptime ?? null,
+    last_seen_up: agent.health?.lastSeenUp ?? null,
+    last_probed_at: agent.health?.lastProbedAt ?? null,
+    a2a_card: jsonValue(card),
+    skills: skillSearchText(card) || null,
+    mcp_json: jsonValue(mcp),
+    created_at: now,
+    updated_at: now
+  };
+}
+
+/**
+ * Rows for an agent's child tables, keyed by table
+ */
+export function childRows(agent, now = Math.floor(Date.now() / 1000)) {
+  const agentId = agent.agentId;
+  const card = detail(agent.a2aCard, ['source', 'fetchedAt', 'error', 'failedAt']);
+  const mcp = detail(agent.mcp, ['fetchedAt', 'error', 'failedAt']);
+  const r = agent.reputation;
+  const v = agent.validation;
+
+  return {
+    agent_transfers: (agent.ownerHistory || []).map(t => ({
+      agent_id: agentId,
+      block_number: t.blockNumber,
+      log_index: t.logIndex,
+      tx_hash: t.txHash,
+      from_address: t.from,
+      to_address: t.to
+    })),
+    feedback: (agent.feedback || []).map(f => ({
+      agent_id: agentId,
+      client_address: f.client,
+      feedback_index: f.feedbackIndex,
+      value: String(f.value),
+      value_decimals: f.valueDecimals,
+      score: f.score,
+      tag1: f.tag1 || null,
+      tag2: f.tag2 || null,
+      endpoint: f.endpoint || null,
+      feedback_uri: f.feedbackUri || null,
+      feedback_hash: f.feedbackHash || null,
+      block_number: f.blockNumber,
+      tx_hash: f.txHash,
+      revoked: Boolean(f.revoked),
+      revoked_block: f.revokedAt?.blockNumber ?? null
+    })),
+    validations: (agent.validations || []).map(val => ({
+      request_hash: val.requestHash,
+      agent_id: agentId,
+      validator_address: val.validator,
+      request_uri: val.requestUri || null,
+      request_block: val.requestedAt?.blockNumber ?? null,
+      request_tx: val.requestedAt?.txHash ?? null,
+      response: val.response ?? null,
+      response_uri: val.responseUri || null,
+      response_hash: val.responseHash || null,
+      tag: val.tag || null,
+      response_block: val.respondedAt?.blockNumber ?? null,
+      response_tx: val.respondedAt?.txHash ?? null
+    })),
+    agent_skills: (card?.skills || []).filter(s => s.id && s.name).map(s => ({
+      agent_id: agentId,
+      skill_id: s.id,
+      name: s.name,
+      description: s.description || null,
+      tags: JSON.stringify(s.tags || [])
+    })),
+    agent_tools: [
+      ...(mcp?.tools || []).map(t => ['tool', t.name, t.description, t.inputSchema]),
+      ...(mcp?.prompts || []).map(p => ['prompt', p.name, p.description, null]),
+      ...(mcp?.resources || []).map(res => ['resource', res.uri, res.description, null])
+    ].filter(([, name]) => name).map(([kind, name, description, schema]) => ({
+      agent_id: agentId,
+      kind,
+      name,
+      description: description || null,
+      input_schema: jsonValue(schema)
+    })),
+    agent_reputation: r?.count > 0 ? [{
+      agent_id: agentId,
+      feedback_count: r.count,
+      revoked_count: r.revoked,
+      client_count: r.clients,
+      mean_score: r.meanScore ?? null,
+      recent_mean_score: r.recentMeanScore ?? null,
+      trend: r.trend ?? null,
+      updated_at: now
+    }] : [],
+    agent_validation: v?.requests > 0 ? [{
+      agent_id: agentId,
+      status: v.status,
+      request_count: v.requests,
+      response_count: v.responded,
+      pending_count: v.pending,
+      validator_count: v.validators,
+      mean_response: v.meanResponse ?? null,
+      latest_response: v.latestResponse ?? null,
+      updated_at: now
+    }] : []
+  };
+}
+
+/**
+ * An agent's rows, { row, children }, or null for a record with no agents
+ * row. row.content_hash covers everything but the timestamps, so a sink can
+ * tell whether the rows it has are still current.
+ */
+export function agentRows(agent, now = Math.floor(Date.now() / 1000)) {
+  const row = agentRow(agent, now);
+  if (!row) return null;
+  const children = childRows(agent, now);
+  const untimed = ({ created_at, updated_at, ...rest }) => rest;
+  row.content_hash = createHash('sha256')
+    .update(JSON.stringify([untimed(row), Object.values(children).map(rows => rows.map(untimed))]))
+    .digest('hex')
+    .slice(0, 32);
+  return { row, children };
+}
+
+/**
+ * Multi-row INSERTs for `rows` (all with the same columns), each statement
+ * kept under MAX_STATEMENT_LENGTH once bound. `suffix` follows the VALUES
+ * list. A single row larger than that still goes out on its own.
+ */
+function insertStatements(table, rows, { verb = 'INSERT OR REPLACE', suffix = '' } = {}) {
+  if (rows.length === 0) return [];
+  const columns = Object.keys(rows[0]);
+  const placeholders = `(${columns.map(() => '?').join(', ')})`;
+  const statements = [];
+  const head = Buffer.byteLength(`${verb} INTO ${table} (${columns.join(', ')}) VALUES ${suffix}`, 'utf8');
+  let values = [];
+  let length = head;
+  const flush = () => {
+    statements.push({
+      sql: `${verb} INTO ${table} (${columns.join(', ')}) VALUES ${values.map(() => placeholders).join(', ')}${suffix}`,
+      params: values.flat()
+    });
+    values = [];
+    length = head;
+  };
+  for (const row of rows) {
+    const params = columns.map(c => row[c]);
+    // Bytes as bind() writes them: quotes doubled, control text as hex
+    const size = params.reduce((sum, v) => sum + Buffer.byteLength(sqlValue(v), 'utf8') + 2, 4);
+    if (values.length > 0 && length + size > MAX_STATEMENT_LENGTH) flush();
+    values.push(params);
+    length += size;
+  }
+  flush();
+  return statements;
+}
+
+function deleteByAgent(table, agentIds) {
+  const column = table === 'agents' ? 'id' : 'agent_id';
+  const statements = [];
+  for (let i = 0; i < agentIds.length; i += IDS_PER_DELETE) {
+    const ids = agentIds.slice(i, i + IDS_PER_DELETE);
+    statements.push({ sql: `DELETE FROM ${table} WHERE ${column} IN (${ids.map(() => '?').join(', ')})`, params: ids });
+  }
+  return statements;
+}
+
+/**
+ * Statements that bring the rows of `agents` ([{ row, children }] from
+ * agentRows) in line with their records and remove `deleted` agent IDs. The
+ * agents rows are upserted so created_at survives; child rows are replaced.
+ */
+export function writeStatements(agents, deleted = []) {
+  const rows = agents.map(a => a.row);
+  const ids = rows.map(row => row.id);
+  const updates = Object.keys(rows[0] || {}).filter(c => c !== 'id' && c !== 'created_at');
+  return [
+    ...insertStatements('agents', rows, {
+      verb: 'INSERT',
+      suffix: ` ON CONFLICT(id) DO UPDATE SET ${updates.map(c => `${c} = excluded.${c}`).join(', ')}`
+    }),
+    ...CHILD_TABLES.flatMap(table => deleteByAgent(table, ids)),
+    ...CHILD_TABLES.flatMap(table => insertStatements(table, agents.flatMap(a => a.children[table]))),
+    ...[...CHILD_TABLES, 'agents'].flatMap(table => deleteByAgent(table, deleted))
+  ];
+}
+
+export function syncStateStatement(key, value) {
+  return { sql: 'INSERT OR REPLACE INTO sync_state (key, value) VALUES (?, ?)', params: [key, String(value)] };
+}
@@ -0,0 +1,62 @@
+/**
+ * Local SQLite sink
+ *
+ * Writes agent records to a SQLite file with the same schema and rows as
+ * D1, for local querying or shipping a snapshot. Goes through the sqlite3
+ * command line tool, the way the D1 sink goes through wrangler, one
+ * transaction per write. A new file is created from schema.sql; an existing
+ * one is migrated first.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { execFileSync } from 'child_process';
+import { bind, syncStateStatement } from './sql.js';
+import { createSqlSink } from './sql-sink.js';
+import { SCHEMA_FILE, SCHEMA_VERSION_QUERY, pendingMigrations } from './schema.js';
+
+export function createSqliteSink({ file }) {
+  function sqlite(input, args = []) {
+    return execFileSync('sqlite3', ['-bail', ...args, file], {
+      input,
+      stdio: 'pipe',
+      encoding: 'utf8',
+      maxBuffer: 256 * 1024 * 1024
+    });
+  }
+
+  // Bring the file up to the current schema, as scripts/migrate-d1.mjs does for D1
+  function prepare() {
+    if (existsSync(file)) {
+      let version = 0;
+      try {
+        version = parseInt(sqlite(`${SCHEMA_VERSION_QUERY};`).trim() || '0');
+      } catch {
+        // No sync_state table yet
+      }
+      for (const m of pendingMigrations(version)) {
+        sqlite(`${readFileSync(m.path, 'utf8')}\n${bind(syncStateStatement('schema_version', m.version))};`);
+      }
+    }
+    sqlite(readFileSync(SCHEMA_FILE, 'utf8'));
+  }
+
+  let prepared = false;
+
+  function ready() {
+    if (!prepared) prepare();
+    prepared = true;
+  }
+
+  async function query(statement) {
+    ready();
+    // -json prints nothing at all for no rows
+    return JSON.parse(sqlite(`${bind(statement)};`, ['-json']) || '[]');
+  }
+
+  async function execute(statements) {
+    ready();
+    sqlite(['BEGIN;', ...statements.map(s => `${bind(s)};`), 'COMMIT;'].join('\n'));
+  }
+
+  return createSqlSink({ name: `SQLite (${file})`, query, execute });
+}
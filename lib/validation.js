@@ -0,0 +1,87 @@
+/**
+ * ERC-8004 Validation Registry
+ *
+ * An agent owner asks a validator to check its work (ValidationRequest); the
+ * validator answers with a 0-100 response, possibly several times as
+ * confidence improves (ValidationResponse). Requests are keyed by requestHash.
+ */
+
+import { parseAbiItem } from 'viem';
+
+export const VALIDATION_REQUEST_EVENT = parseAbiItem(
+  'event ValidationRequest(address indexed validatorAddress, uint256 indexed agentId, string requestURI, bytes32 indexed requestHash)'
+);
+
+export const VALIDATION_RESPONSE_EVENT = parseAbiItem(
+  'event ValidationResponse(address indexed validatorAddress, uint256 indexed agentId, bytes32 indexed requestHash, uint8 response, string responseURI, bytes32 responseHash, string tag)'
+);
+
+export const VALIDATION_EVENTS = [VALIDATION_REQUEST_EVENT, VALIDATION_RESPONSE_EVENT];
+
+// Responses at or above this count as a pass
+export const PASS_THRESHOLD = 50;
+
+/**
+ * Fold request/response logs into validation records keyed by requestHash.
+ * A response without a request we've seen (e.g. the request predates the
+ * scanned range) still gets a record, with the request fields left null.
+ */
+export function applyValidationLog(records, log) {
+  const { requestHash, validatorAddress } = log.args;
+  const at = { blockNumber: Number(log.blockNumber), txHash: log.transactionHash };
+  const record = records.get(requestHash) || {
+    requestHash,
+    validator: validatorAddress,
+    requestUri: null,
+    requestedAt: null,
+    response: null,
+    responseUri: null,
+    responseHash: null,
+    tag: null,
+    respondedAt: null
+  };
+
+  if (log.eventName === 'ValidationRequest') {
+    record.requestUri = log.args.requestURI || '';
+    record.requestedAt = at;
+  } else if (!record.respondedAt || at.blockNumber >= record.respondedAt.blockNumber) {
+    record.response = log.args.response;
+    record.responseUri = log.args.responseURI || '';
+    record.responseHash = log.args.responseHash;
+    record.tag = log.args.tag || '';
+    record.respondedAt = at;
+  }
+
+  records.set(requestHash, record);
+  return record;
+}
+
+/**
+ * Per-agent validation status:
+ *   none     no validation requested
+ *   pending  requested, no validator has answered yet
+ *   passed   the most recent response is >= PASS_THRESHOLD
+ *   failed   the most recent response is below it
+ */
+export function summarizeValidation(validations) {
+  const responded = validations
+    .filter(v => v.respondedAt)
+    .sort((a, b) => a.respondedAt.blockNumber - b.respondedAt.blockNumber);
+  const latest = responded[responded.length - 1];
+
+  let status = 'none';
+  if (latest) status = latest.response >= PASS_THRESHOLD ? 'passed' : 'failed';
+  else if (validations.length > 0) status = 'pending';
+
+  return {
+    status,
+    requests: validations.length,
+    responded: responded.length,
+    pending: validations.length - responded.length,
+    validators: new Set(validations.map(v => v.validator.toLowerCase())).size,
+    meanResponse: responded.length > 0
+      ? Math.round(responded.reduce((sum, v) => sum + v.response, 0) / responded.length * 100) / 100
+      : null,
+    latestResponse: latest ? latest.response : null
+  };
+}
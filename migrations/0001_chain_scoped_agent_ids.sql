@@ -0,0 +1,71 @@
+-- Migration 0001: chain-scoped agent IDs
+--
+-- Databases created from schema.sql before agents were keyed by
+-- eip155:<chain_id>:<token_id> used token_id as the primary key, so an agent
+-- on Base overwrote the Ethereum agent with the same token ID. Rebuilds the
+-- agents table and its FTS index with the composite key.
+--
+-- Fresh databases get this layout from schema.sql and don't need it.
+
+DROP TRIGGER IF EXISTS agents_ai;
+DROP TRIGGER IF EXISTS agents_ad;
+DROP TRIGGER IF EXISTS agents_au;
+DROP TABLE IF EXISTS agents_fts;
+
+CREATE TABLE agents_new (
+  id TEXT PRIMARY KEY,
+  chain_id INTEGER NOT NULL,
+  token_id TEXT NOT NULL,
+  chain TEXT NOT NULL,
+  owner TEXT NOT NULL,
+  name TEXT,
+  description TEXT,
+  metadata_uri TEXT,
+  metadata_json TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  UNIQUE (chain_id, token_id)
+);
+
+INSERT INTO agents_new
+  (id, chain_id, token_id, chain, owner, name, description, metadata_uri, metadata_json, created_at, updated_at)
+SELECT
+  'eip155:' || CASE chain WHEN 'base' THEN 8453 ELSE 1 END || ':' || token_id,
+  CASE chain WHEN 'base' THEN 8453 ELSE 1 END,
+  token_id, chain, owner, name, description, metadata_uri, metadata_json, created_at, updated_at
+FROM agents;
+
+DROP TABLE agents;
+ALTER TABLE agents_new RENAME TO agents;
+
+CREATE INDEX IF NOT EXISTS idx_agents_chain ON agents(chain);
+CREATE INDEX IF NOT EXISTS idx_agents_token_id ON agents(token_id);
+CREATE INDEX IF NOT EXISTS idx_agents_owner ON agents(owner);
+CREATE INDEX IF NOT EXISTS idx_agents_name ON agents(name);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS agents_fts USING fts5(
+  token_id,
+  name,
+  description,
+  content='agents',
+  content_rowid='rowid'
+);
+
+INSERT INTO agents_fts(agents_fts) VALUES ('rebuild');
+
+CREATE TRIGGER IF NOT EXISTS agents_ai AFTER INSERT ON agents BEGIN
+  INSERT INTO agents_fts(rowid, token_id, name, description) 
+  VALUES (new.rowid, new.token_id, new.name, new.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS agents_ad AFTER DELETE ON agents BEGIN
+  INSERT INTO agents_fts(agents_fts, rowid, token_id, name, description) 
+  VALUES('delete', old.rowid, old.token_id, old.name, old.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS agents_au AFTER UPDATE ON agents BEGIN
+  INSERT INTO agents_fts(agents_fts, rowid, token_id, name, description) 
+  VALUES('delete', old.rowid, old.token_id, old.name, old.description);
+  INSERT INTO agents_fts(rowid, token_id, name, description) 
+  VALUES (new.rowid, new.token_id, new.name, new.description);
+END;
@@ -0,0 +1,6 @@
+-- Migration 0002: burned agents
+--
+-- Adds the removed flag set when an agent token is transferred to 0x0.
+-- The agent_transfers table is created by re-running schema.sql (db:init).
+
+ALTER TABLE agents ADD COLUMN removed INTEGER NOT NULL DEFAULT 0;
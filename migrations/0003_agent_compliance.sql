@@ -0,0 +1,9 @@
+-- Migration 0003: registration compliance
+--
+-- Adds the registration-v1 compliance level (compliant, partial,
+-- non_compliant, invalid) and the JSON list of issues behind it.
+
+ALTER TABLE agents ADD COLUMN compliance TEXT;
+ALTER TABLE agents ADD COLUMN compliance_issues TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_agents_compliance ON agents(compliance);
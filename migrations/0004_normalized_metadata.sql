@@ -0,0 +1,8 @@
+-- Migration 0004: normalized registration metadata
+--
+-- metadata_json keeps the registration as published; normalized_json holds
+-- it mapped onto the canonical field names (lib/normalize.js) and
+-- metadata_sources records which raw key each canonical field came from.
+
+ALTER TABLE agents ADD COLUMN normalized_json TEXT;
+ALTER TABLE agents ADD COLUMN metadata_sources TEXT;
@@ -0,0 +1,12 @@
+-- Migration 0005: service endpoint health
+--
+-- Summary of the latest probes from scripts/probe-services.mjs: whether any
+-- endpoint answered last time, the uptime percentage over the kept history
+-- and when the agent was last seen up and last probed (ISO timestamps).
+
+ALTER TABLE agents ADD COLUMN live INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE agents ADD COLUMN uptime REAL;
+ALTER TABLE agents ADD COLUMN last_seen_up TEXT;
+ALTER TABLE agents ADD COLUMN last_probed_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_agents_live ON agents(live);
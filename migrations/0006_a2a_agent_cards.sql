@@ -0,0 +1,25 @@
+-- Migration 0006: A2A agent cards and skills
+--
+-- Stores the parsed agent card, a searchable skills column that joins the
+-- full-text index (so the FTS table and its triggers are rebuilt), and one
+-- agent_skills row per skill for filtering. agent_skills itself is created
+-- by schema.sql, which migrate-d1 re-runs afterwards.
+
+ALTER TABLE agents ADD COLUMN a2a_card TEXT;
+ALTER TABLE agents ADD COLUMN skills TEXT;
+
+DROP TRIGGER IF EXISTS agents_ai;
+DROP TRIGGER IF EXISTS agents_ad;
+DROP TRIGGER IF EXISTS agents_au;
+DROP TABLE IF EXISTS agents_fts;
+
+CREATE VIRTUAL TABLE agents_fts USING fts5(
+  token_id,
+  name,
+  description,
+  skills,
+  content='agents',
+  content_rowid='rowid'
+);
+
+INSERT INTO agents_fts(agents_fts) VALUES ('rebuild');
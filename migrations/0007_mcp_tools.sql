@@ -0,0 +1,8 @@
+-- Migration 0007: MCP server introspection
+--
+-- Stores what each agent's MCP server reported (server info, capabilities,
+-- tools, prompts, resources) as JSON. agent_tools, one row per tool, prompt
+-- or resource for filtering, is created by schema.sql, which migrate-d1
+-- re-runs afterwards.
+
+ALTER TABLE agents ADD COLUMN mcp_json TEXT;
@@ -0,0 +1,10 @@
+-- Migration 0008: registrations back-reference check
+--
+-- Whether the registration's `registrations` entries name this very token
+-- (verified), only other tokens, registries or chains (mismatched), or
+-- nothing usable (missing), plus the per-entry results as JSON.
+
+ALTER TABLE agents ADD COLUMN registration_check TEXT;
+ALTER TABLE agents ADD COLUMN registration_refs TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_agents_registration_check ON agents(registration_check);
@@ -0,0 +1,11 @@
+-- Migration 0009: endpoint domain verification
+--
+-- Per agent, the hosts whose /.well-known/agent-registration.json names the
+-- agent (JSON array), a flag for filtering on any verified domain, and the
+-- result for every endpoint origin checked (JSON).
+
+ALTER TABLE agents ADD COLUMN domain_verified INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE agents ADD COLUMN verified_domains TEXT;
+ALTER TABLE agents ADD COLUMN domain_checks TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_agents_domain_verified ON agents(domain_verified);
@@ -0,0 +1,13 @@
+-- Migration 0010: ENS names
+--
+-- The owner's primary ENS name (only when it resolves back to the owner),
+-- and for agents listing an ENS service, the name, the address it resolves
+-- to and whether that is the owner (NULL when it doesn't resolve).
+
+ALTER TABLE agents ADD COLUMN owner_ens TEXT;
+ALTER TABLE agents ADD COLUMN ens_name TEXT;
+ALTER TABLE agents ADD COLUMN ens_address TEXT;
+ALTER TABLE agents ADD COLUMN ens_owner_match INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_agents_owner_ens ON agents(owner_ens);
+CREATE INDEX IF NOT EXISTS idx_agents_ens_name ON agents(ens_name);
@@ -0,0 +1,11 @@
+-- Migration 0011: agent image thumbnails
+--
+-- Outcome of the last image check (ok, placeholder, unsupported, broken),
+-- the content-hashed thumbnail under /thumbnails/ and the error if any.
+-- Written by scripts/build-images.mjs --d1.
+
+ALTER TABLE agents ADD COLUMN image_status TEXT;
+ALTER TABLE agents ADD COLUMN image_thumbnail TEXT;
+ALTER TABLE agents ADD COLUMN image_error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_agents_image_status ON agents(image_status);
@@ -0,0 +1,8 @@
+-- Migration 0012: agent content hashes
+--
+-- Hash of everything the sync writes for an agent (its agents row, minus
+-- timestamps, and its child rows), so a sink only rewrites agents that
+-- changed. Rows from before this migration have none and are rewritten once.
+-- Per-chain sync checkpoints go in sync_state as last_block_<chainId>.
+
+ALTER TABLE agents ADD COLUMN content_hash TEXT;
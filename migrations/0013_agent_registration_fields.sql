@@ -0,0 +1,11 @@
+-- Migration 0013: registration fields
+--
+-- The registration's active flag, x402 support and services (JSON, as
+-- normalized), and the block and transaction that minted the agent, as the
+-- static dataset has them. Filled by the next sync or npm run import:d1.
+
+ALTER TABLE agents ADD COLUMN active INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE agents ADD COLUMN x402_support INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE agents ADD COLUMN services TEXT;
+ALTER TABLE agents ADD COLUMN registered_block INTEGER;
+ALTER TABLE agents ADD COLUMN tx_hash TEXT;
@@ -1,50 +1,205 @@
 -- ERC-8004 Catalog D1 Schema
 
 CREATE TABLE IF NOT EXISTS agents (
-  token_id TEXT PRIMARY KEY,
+  id TEXT PRIMARY KEY,           -- eip155:<chain_id>:<token_id>
+  chain_id INTEGER NOT NULL,
+  token_id TEXT NOT NULL,
   chain TEXT NOT NULL,           -- 'ethereum' or 'base'
   owner TEXT NOT NULL,
   name TEXT,
   description TEXT,
   metadata_uri TEXT,
-  metadata_json TEXT,            -- cached JSON blob
+  metadata_json TEXT,            -- cached JSON blob, as published
+  normalized_json TEXT,          -- metadata with canonical field names
+  metadata_sources TEXT,         -- JSON { field: raw key path }
+  removed INTEGER NOT NULL DEFAULT 0,  -- 1 once the token is burned
+  active INTEGER NOT NULL DEFAULT 1,   -- the registration's active flag
+  x402_support INTEGER NOT NULL DEFAULT 0,
+  services TEXT,                 -- JSON array of { name, endpoint, ... }, normalized
+  registered_block INTEGER,      -- block of the mint
+  tx_hash TEXT,                  -- mint transaction
+  compliance TEXT,               -- compliant | partial | non_compliant | invalid
+  compliance_issues TEXT,        -- JSON array of { severity, code, path, message }
+  registration_check TEXT,       -- verified | mismatched | missing
+  registration_refs TEXT,        -- JSON array of per-entry back-reference results
+  domain_verified INTEGER NOT NULL DEFAULT 0,  -- 1 if any endpoint domain is verified
+  verified_domains TEXT,         -- JSON array of verified hosts
+  domain_checks TEXT,            -- JSON array of { domain, origin, status, error }
+  owner_ens TEXT,                -- owner's primary ENS name, forward-verified
+  ens_name TEXT,                 -- name from the agent's ENS service
+  ens_address TEXT,              -- address ens_name resolves to
+  ens_owner_match INTEGER,       -- 1 if ens_address is the owner, 0 if not, NULL if unresolved
+  image_status TEXT,             -- ok, placeholder, unsupported, broken
+  image_thumbnail TEXT,          -- content-hashed file under /thumbnails/
+  image_error TEXT,
+  live INTEGER NOT NULL DEFAULT 0,  -- 1 if an endpoint answered the latest probe
+  uptime REAL,                   -- % of kept probes that were up
+  last_seen_up TEXT,
+  last_probed_at TEXT,
+  a2a_card TEXT,                 -- JSON, the parsed A2A agent card
+  skills TEXT,                   -- A2A skill names, tags and descriptions, for search
+  mcp_json TEXT,                 -- JSON, what the agent's MCP server reported
+  content_hash TEXT,             -- hash of the synced rows, to skip unchanged agents
   created_at INTEGER NOT NULL,
-  updated_at INTEGER NOT NULL
+  updated_at INTEGER NOT NULL,
+  UNIQUE (chain_id, token_id)
 );
 
 CREATE INDEX IF NOT EXISTS idx_agents_chain ON agents(chain);
+CREATE INDEX IF NOT EXISTS idx_agents_token_id ON agents(token_id);
 CREATE INDEX IF NOT EXISTS idx_agents_owner ON agents(owner);
 CREATE INDEX IF NOT EXISTS idx_agents_name ON agents(name);
+CREATE INDEX IF NOT EXISTS idx_agents_compliance ON agents(compliance);
+CREATE INDEX IF NOT EXISTS idx_agents_live ON agents(live);
+CREATE INDEX IF NOT EXISTS idx_agents_registration_check ON agents(registration_check);
+CREATE INDEX IF NOT EXISTS idx_agents_domain_verified ON agents(domain_verified);
+CREATE INDEX IF NOT EXISTS idx_agents_owner_ens ON agents(owner_ens);
+CREATE INDEX IF NOT EXISTS idx_agents_ens_name ON agents(ens_name);
+CREATE INDEX IF NOT EXISTS idx_agents_image_status ON agents(image_status);
 
 -- Full-text search virtual table
 CREATE VIRTUAL TABLE IF NOT EXISTS agents_fts USING fts5(
   token_id,
   name,
   description,
+  skills,
   content='agents',
   content_rowid='rowid'
 );
 
 -- Triggers to keep FTS in sync
 CREATE TRIGGER IF NOT EXISTS agents_ai AFTER INSERT ON agents BEGIN
-  INSERT INTO agents_fts(rowid, token_id, name, description) 
-  VALUES (new.rowid, new.token_id, new.name, new.description);
+  INSERT INTO agents_fts(rowid, token_id, name, description, skills) 
+  VALUES (new.rowid, new.token_id, new.name, new.description, new.skills);
 END;
 
 CREATE TRIGGER IF NOT EXISTS agents_ad AFTER DELETE ON agents BEGIN
-  INSERT INTO agents_fts(agents_fts, rowid, token_id, name, description) 
-  VALUES('delete', old.rowid, old.token_id, old.name, old.description);
+  INSERT INTO agents_fts(agents_fts, rowid, token_id, name, description, skills) 
+  VALUES('delete', old.rowid, old.token_id, old.name, old.description, old.skills);
 END;
 
 CREATE TRIGGER IF NOT EXISTS agents_au AFTER UPDATE ON agents BEGIN
-  INSERT INTO agents_fts(agents_fts, rowid, token_id, name, description) 
-  VALUES('delete', old.rowid, old.token_id, old.name, old.description);
-  INSERT INTO agents_fts(rowid, token_id, name, description) 
-  VALUES (new.rowid, new.token_id, new.name, new.description);
+  INSERT INTO agents_fts(agents_fts, rowid, token_id, name, description, skills) 
+  VALUES('delete', old.rowid, old.token_id, old.name, old.description, old.skills);
+  INSERT INTO agents_fts(rowid, token_id, name, description, skills) 
+  VALUES (new.rowid, new.token_id, new.name, new.description, new.skills);
 END;
 
+-- Skills from each agent's A2A agent card, for filtering by skill
+CREATE TABLE IF NOT EXISTS agent_skills (
+  agent_id TEXT NOT NULL,
+  skill_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  tags TEXT NOT NULL DEFAULT '[]',  -- JSON array
+  PRIMARY KEY (agent_id, skill_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_skills_skill ON agent_skills(skill_id);
+CREATE INDEX IF NOT EXISTS idx_agent_skills_name ON agent_skills(name COLLATE NOCASE);
+
+-- Tools, prompts and resources listed by each agent's MCP server
+CREATE TABLE IF NOT EXISTS agent_tools (
+  agent_id TEXT NOT NULL,
+  kind TEXT NOT NULL,            -- tool | prompt | resource
+  name TEXT NOT NULL,            -- the URI for resources
+  description TEXT,
+  input_schema TEXT,             -- JSON, tools only
+  PRIMARY KEY (agent_id, kind, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_tools_name ON agent_tools(kind, name COLLATE NOCASE);
+
+-- Every Transfer of an agent token, mints (from 0x0) and burns (to 0x0)
+-- included. Ordered by (block_number, log_index) this is the owner history.
+CREATE TABLE IF NOT EXISTS agent_transfers (
+  agent_id TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  from_address TEXT NOT NULL,
+  to_address TEXT NOT NULL,
+  PRIMARY KEY (tx_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_transfers_agent ON agent_transfers(agent_id, block_number, log_index);
+
+-- Reputation Registry feedback, one row per (client, feedbackIndex)
+CREATE TABLE IF NOT EXISTS feedback (
+  agent_id TEXT NOT NULL,
+  client_address TEXT NOT NULL,
+  feedback_index INTEGER NOT NULL,
+  value TEXT NOT NULL,           -- int128 as decimal string
+  value_decimals INTEGER NOT NULL,
+  score REAL NOT NULL,           -- value / 10^value_decimals
+  tag1 TEXT,
+  tag2 TEXT,
+  endpoint TEXT,
+  feedback_uri TEXT,
+  feedback_hash TEXT,
+  block_number INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  revoked INTEGER NOT NULL DEFAULT 0,
+  revoked_block INTEGER,
+  PRIMARY KEY (agent_id, client_address, feedback_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_feedback_agent ON feedback(agent_id, block_number);
+CREATE INDEX IF NOT EXISTS idx_feedback_client ON feedback(client_address);
+
+-- Aggregate reputation per agent, recomputed from feedback on each sync
+CREATE TABLE IF NOT EXISTS agent_reputation (
+  agent_id TEXT PRIMARY KEY,
+  feedback_count INTEGER NOT NULL,
+  revoked_count INTEGER NOT NULL,
+  client_count INTEGER NOT NULL,
+  mean_score REAL,
+  recent_mean_score REAL,
+  trend REAL,
+  updated_at INTEGER NOT NULL
+);
+
+-- Validation Registry requests, with the latest response if any
+CREATE TABLE IF NOT EXISTS validations (
+  request_hash TEXT PRIMARY KEY,
+  agent_id TEXT NOT NULL,
+  validator_address TEXT NOT NULL,
+  request_uri TEXT,
+  request_block INTEGER,
+  request_tx TEXT,
+  response INTEGER,              -- 0-100, NULL while pending
+  response_uri TEXT,
+  response_hash TEXT,
+  tag TEXT,
+  response_block INTEGER,
+  response_tx TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_validations_agent ON validations(agent_id);
+CREATE INDEX IF NOT EXISTS idx_validations_validator ON validations(validator_address);
+
+-- Validation status per agent: none, pending, passed or failed
+CREATE TABLE IF NOT EXISTS agent_validation (
+  agent_id TEXT PRIMARY KEY,
+  status TEXT NOT NULL,
+  request_count INTEGER NOT NULL,
+  response_count INTEGER NOT NULL,
+  pending_count INTEGER NOT NULL,
+  validator_count INTEGER NOT NULL,
+  mean_response REAL,
+  latest_response INTEGER,
+  updated_at INTEGER NOT NULL
+);
+
 -- Sync metadata table
 CREATE TABLE IF NOT EXISTS sync_state (
   key TEXT PRIMARY KEY,
   value TEXT NOT NULL
 );
+
+-- Databases created from this file already have every migration in
+-- migrations/ applied. Bump alongside each new migration. Skipped when the
+-- agents table has rows, i.e. an existing database that still needs
+-- scripts/migrate-d1.mjs.
+INSERT OR IGNORE INTO sync_state (key, value)
+SELECT 'schema_version', '13' WHERE NOT EXISTS (SELECT 1 FROM agents);
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * ERC-8004 Agent Image Script
+ * Fetches every agent's image, checks it and writes a content-hashed WebP
+ * thumbnail to thumbnails/ (see lib/images.js); the result is recorded in
+ * each agent file as imageCheck
+ *
+ * Run:           node scripts/build-images.mjs
+ * Also D1:       node scripts/build-images.mjs --sink d1 [--local]
+ * Also SQLite:   node scripts/build-images.mjs --sink sqlite
+ *
+ * Images are checked again when the agent's image changes or the last check
+ * is older than IMAGE_MAX_AGE_DAYS. Thumbnails no agent refers to any more
+ * are deleted. IMAGE_ALLOW_PRIVATE=1 lets images on localhost/private
+ * addresses through, for testing against local stub servers.
+ */
+
+import { readFileSync, writeFileSync, existsSync, readdirSync, mkdirSync, unlinkSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { CHAINS } from '../lib/chains.js';
+import { createSinks, writeAgents } from '../lib/storage/index.js';
+import { createHostLimiter } from '../lib/probe.js';
+import { processImage, imageHost } from '../lib/images.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const DATA_DIR = join(ROOT, 'data');
+const AGENTS_DIR = join(DATA_DIR, 'agents');
+const INDEX_FILE = join(DATA_DIR, 'index.json');
+const THUMBNAILS_DIR = join(ROOT, 'thumbnails');
+
+const IMAGE_CONCURRENCY = parseInt(process.env.IMAGE_CONCURRENCY || '10');
+const IMAGE_PER_HOST = parseInt(process.env.IMAGE_PER_HOST || '2');
+const IMAGE_MAX_AGE_DAYS = parseInt(process.env.IMAGE_MAX_AGE_DAYS || '7');
+const IMAGE_BATCH = parseInt(process.env.IMAGE_BATCH || '1000');
+
+const ALLOW_PRIVATE = process.env.IMAGE_ALLOW_PRIVATE === '1';
+
+// Where the updated records also go (--sink d1,sqlite); see lib/storage/index.js
+const sinks = createSinks();
+
+function agentFiles() {
+  const files = [];
+  for (const chainId of readdirSync(AGENTS_DIR)) {
+    const dir = join(AGENTS_DIR, chainId);
+    if (!/^\d+$/.test(chainId)) continue;
+    for (const file of readdirSync(dir)) {
+      if (file.endsWith('.json')) files.push(join(dir, file));
+    }
+  }
+  return files;
+}
+
+/**
+ * Write the updated records to every sink; the sinks diff by content hash,
+ * so only agents whose image check changed are written
+ */
+async function writeToSinks(agents) {
+  for (const sink of sinks) {
+    console.log(`💾 Writing to ${sink.name}...`);
+    try {
+      const { inserted, updated, unchanged } = await writeAgents(sink, agents);
+      console.log(`   Inserted: ${inserted}, updated: ${updated}, unchanged: ${unchanged}`);
+    } catch (err) {
+      console.error(`   ${sink.name} failed: ${err.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+/**
+ * The agent's new imageCheck. A broken result for an unchanged image keeps
+ * the last good thumbnail, so a host that is briefly down doesn't blank the
+ * avatar.
+ */
+function imageCheck(agent, result) {
+  const previous = agent.imageCheck?.image === agent.image ? agent.imageCheck : null;
+  const lastGood = result.status === 'broken' && previous?.thumbnail ? previous : null;
+  return {
+    image: agent.image,
+    status: result.status,
+    thumbnail: result.file || lastGood?.thumbnail || null,
+    format: result.format || lastGood?.format || null,
+    width: result.width ?? lastGood?.width ?? null,
+    height: result.height ?? lastGood?.height ?? null,
+    source: result.source || null,
+    error: result.error || null,
+    reason: result.reason || null,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+async function buildImages() {
+  console.log('🖼️ Building agent thumbnails...');
+  mkdirSync(THUMBNAILS_DIR, { recursive: true });
+
+  const cutoff = new Date(Date.now() - IMAGE_MAX_AGE_DAYS * 86400 * 1000).toISOString();
+  const entries = [];
+  const due = [];
+  // Thumbnails still in use; error and removed records keep theirs too
+  const referenced = new Set();
+  for (const file of agentFiles()) {
+    const agent = JSON.parse(readFileSync(file, 'utf8'));
+    if (agent.removed || agent.error) {
+      if (agent.imageCheck?.thumbnail) referenced.add(agent.imageCheck.thumbnail);
+      continue;
+    }
+    const entry = { file, agent };
+    entries.push(entry);
+
+    // Agents that dropped their image lose their check
+    if (!agent.image) {
+      if (agent.imageCheck) {
+        delete agent.imageCheck;
+        writeFileSync(file, JSON.stringify(agent, null, 2));
+        entry.changed = true;
+      }
+      continue;
+    }
+    const checkedAt = agent.imageCheck?.image === agent.image ? agent.imageCheck.checkedAt : '';
+    if (checkedAt < cutoff) due.push({ ...entry, checkedAt });
+  }
+
+  const batch = due.sort((a, b) => a.checkedAt.localeCompare(b.checkedAt)).slice(0, IMAGE_BATCH);
+  console.log(`   ${batch.length} images to check (${due.length} due)`);
+
+  // Agents often share an image; each distinct one is fetched once
+  const results = new Map();
+  const limit = createHostLimiter({ perHost: IMAGE_PER_HOST, total: IMAGE_CONCURRENCY });
+  let done = 0;
+
+  await Promise.all(batch.map(async entry => {
+    const { agent, file } = entry;
+    if (!results.has(agent.image)) {
+      results.set(agent.image, limit(imageHost(agent.image), () => processImage(agent.image, { allowPrivate: ALLOW_PRIVATE })));
+    }
+    const result = await results.get(agent.image);
+
+    if (result.thumbnail) {
+      const path = join(THUMBNAILS_DIR, result.file);
+      if (!existsSync(path)) writeFileSync(path, result.thumbnail);
+    }
+    agent.imageCheck = imageCheck(agent, result);
+    writeFileSync(file, JSON.stringify(agent, null, 2));
+
+    done++;
+    if (done % 100 === 0) process.stdout.write(`\r   Checked ${done}/${batch.length}`);
+  }));
+
+  // Content-hashed names make stale thumbnails easy to spot
+  for (const { agent } of entries) {
+    if (agent.imageCheck?.thumbnail) referenced.add(agent.imageCheck.thumbnail);
+  }
+  let pruned = 0;
+  for (const file of readdirSync(THUMBNAILS_DIR)) {
+    if (!referenced.has(file)) {
+      unlinkSync(join(THUMBNAILS_DIR, file));
+      pruned++;
+    }
+  }
+
+  const withImages = entries.filter(e => e.agent.imageCheck);
+  const counts = {};
+  for (const { agent } of withImages) counts[agent.imageCheck.status] = (counts[agent.imageCheck.status] || 0) + 1;
+
+  // Keep index.json's image counts current until the next sync recomputes them
+  if (existsSync(INDEX_FILE)) {
+    const index = JSON.parse(readFileSync(INDEX_FILE, 'utf8'));
+    for (const chain of CHAINS) {
+      const stats = index.stats?.[chain.key];
+      if (!stats) continue;
+      const onChain = withImages.filter(e => e.agent.chainId === chain.chainId);
+      stats.thumbnails = onChain.filter(e => e.agent.imageCheck.thumbnail).length;
+      stats.brokenImages = onChain.filter(e => e.agent.imageCheck.status === 'broken').length;
+    }
+    writeFileSync(INDEX_FILE, JSON.stringify(index, null, 2));
+  }
+
+  console.log(`\n✅ Thumbnails complete!`);
+  console.log(`   ${Object.entries(counts).map(([status, n]) => `${status}: ${n}`).join(', ') || 'No images'}`);
+  console.log(`   Thumbnails: ${referenced.size} (${pruned} pruned)`);
+
+  await writeToSinks(entries.map(e => e.agent));
+}
+
+buildImages().catch(err => {
+  console.error('Image build failed:', err);
+  process.exit(1);
+});
@@ -1,44 +1,81 @@
 #!/usr/bin/env node
 // Build Pagefind search index from agent data
 
-import { readFileSync, writeFileSync, mkdirSync, readdirSync } from 'fs';
+import { writeFileSync, mkdirSync, rmSync } from 'fs';
 import { execSync } from 'child_process';
 import { join } from 'path';
+import { createJsonStore } from '../lib/storage/json.js';
 
 const dataDir = join(import.meta.dirname, '..', 'data');
-const agentsDir = join(dataDir, 'agents');
 
-// Generate minimal HTML pages for Pagefind to index
+// Generate minimal HTML pages for Pagefind to index, one directory per chain
+// (_pages/<chainId>/<tokenId>.html) since token IDs repeat across chains
 const pagesDir = join(import.meta.dirname, '..', '_pages');
+rmSync(pagesDir, { recursive: true, force: true });
 mkdirSync(pagesDir, { recursive: true });
 
 console.log('Generating searchable pages...');
 
-const files = readdirSync(agentsDir).filter(f => f.endsWith('.json'));
+// A2A skills as searchable text, each one also a "skill" filter value
+function skillsHtml(card) {
+  if (!card?.skills?.length) return '';
+  const items = card.skills.map(skill => `  <li>
+    <span data-pagefind-filter="skill">${escapeHtml(skill.name)}</span>
+    ${skill.tags.map(tag => `<span data-pagefind-filter="skill">${escapeHtml(tag)}</span>`).join(' ')}
+    ${skill.description ? `<p>${escapeHtml(skill.description)}</p>` : ''}
+  </li>`);
+  return `<ul>\n${items.join('\n')}\n  </ul>`;
+}
+
+// MCP tool names and descriptions, each name also a "tool" filter value
+function toolsHtml(mcp) {
+  if (!mcp?.tools?.length) return '';
+  const items = mcp.tools.map(tool => `  <li>
+    <span data-pagefind-filter="tool">${escapeHtml(tool.name)}</span>
+    ${tool.description ? `<p>${escapeHtml(tool.description)}</p>` : ''}
+  </li>`);
+  return `<ul>\n${items.join('\n')}\n  </ul>`;
+}
+
+// Everything on a page comes from agent metadata, so every value is escaped,
+// quotes included in case it lands in an attribute
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Records in either layout: per-chain directories, or the flat one from
+// before chain-scoped IDs that only the sync migrates
+const store = createJsonStore(dataDir);
 let count = 0;
 
-for (const file of files) {
-  const agent = JSON.parse(readFileSync(join(agentsDir, file), 'utf8'));
-  const tokenId = file.replace('.json', '');
+for (const agent of store.records()) {
+  const chainId = String(agent.chainId);
+  const tokenId = String(agent.id);
+  const agentId = agent.agentId;
   
   // Generate minimal HTML page for Pagefind
   const html = `<!DOCTYPE html>
 <html>
-<head><title>${agent.name || `Agent #${tokenId}`}</title></head>
+<head><title>${escapeHtml(agent.name || `Agent #${tokenId}`)}</title></head>
 <body>
 <article data-pagefind-body>
-  <h1 data-pagefind-meta="name">${agent.name || 'Unnamed Agent'}</h1>
-  <p data-pagefind-meta="tokenId">${tokenId}</p>
-  <p data-pagefind-meta="address">${agent.address || ''}</p>
-  <p data-pagefind-meta="chain">${agent.chain || 'ethereum'}</p>
-  <p data-pagefind-meta="owner">${agent.owner || ''}</p>
-  <p>${agent.description || ''}</p>
-  ${agent.systemPrompt ? `<div>${agent.systemPrompt.slice(0, 500)}</div>` : ''}
+  <h1 data-pagefind-meta="name">${escapeHtml(agent.name || 'Unnamed Agent')}</h1>
+  <p data-pagefind-meta="agentId">${escapeHtml(agentId)}</p>
+  <p data-pagefind-meta="tokenId">${escapeHtml(tokenId)}</p>
+  <p data-pagefind-meta="address">${escapeHtml(agent.address)}</p>
+  <p data-pagefind-meta="chain">${escapeHtml(agent.chain || 'ethereum')}</p>
+  <p data-pagefind-meta="owner">${escapeHtml(agent.owner)}</p>
+  ${agent.ownerEns ? `<p data-pagefind-meta="ownerEns">${escapeHtml(agent.ownerEns)}</p>` : ''}
+  <p>${escapeHtml(agent.description)}</p>
+  ${agent.systemPrompt ? `<div>${escapeHtml(String(agent.systemPrompt).slice(0, 500))}</div>` : ''}
+  ${skillsHtml(agent.a2aCard)}
+  ${toolsHtml(agent.mcp)}
 </article>
 </body>
 </html>`;
 
-  writeFileSync(join(pagesDir, `${tokenId}.html`), html);
+  mkdirSync(join(pagesDir, chainId), { recursive: true });
+  writeFileSync(join(pagesDir, chainId, `${tokenId}.html`), html);
   count++;
   
   if (count % 1000 === 0) {
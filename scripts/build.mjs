@@ -25,6 +25,11 @@ cpSync(join(ROOT, 'index.html'), join(DIST, 'index.html'));
 cpSync(join(ROOT, 'assets'), join(DIST, 'assets'), { recursive: true });
 cpSync(join(ROOT, '_headers'), join(DIST, '_headers'));
 
+// Agent thumbnails from scripts/build-images.mjs, served from our own origin
+if (existsSync(join(ROOT, 'thumbnails'))) {
+  cpSync(join(ROOT, 'thumbnails'), join(DIST, 'thumbnails'), { recursive: true });
+}
+
 // Note: functions/ stays at root level for Pages Functions
 
 console.log('✅ Build complete: dist/');
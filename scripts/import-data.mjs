@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * Import the static dataset into D1 or SQLite
+ *
+ * Loads every record under data/agents, in either layout, into the sinks
+ * named with --sink (see lib/storage/index.js), without scanning the chain
+ * or touching data/. Sinks compare content hashes, so only agents whose rows
+ * changed are written, and agents a sink has that are no longer in the
+ * dataset are deleted: running it again after every static sync keeps the
+ * sink a copy of data/. Records fetched before the validator, the normalizer
+ * or the back-reference check existed get those fields filled in on the way,
+ * as the sync does, but data/ itself is left as it is. The sink's chain
+ * checkpoints and last_sync are taken from data/index.json, so a later
+ * `sync --sink` carries on from there.
+ *
+ * Run locally: node scripts/import-data.mjs --sink d1 --local
+ * Run remote:  node scripts/import-data.mjs --sink d1
+ * SQLite:      node scripts/import-data.mjs --sink sqlite
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { CHAINS, getChain } from '../lib/chains.js';
+import { backfillRecord } from '../lib/registration.js';
+import { createJsonStore, indexCheckpoint } from '../lib/storage/json.js';
+import { createSinks } from '../lib/storage/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, '..', 'data');
+const INDEX_FILE = join(DATA_DIR, 'index.json');
+
+// Agents per sink write
+const BATCH_SIZE = 1000;
+
+async function importInto(sink, store, index) {
+  console.log(`📥 Importing data/ into ${sink.name}...`);
+  const totals = { inserted: 0, updated: 0, unchanged: 0, deleted: 0 };
+  const lastSync = index.lastSync || new Date().toISOString();
+  const add = result => {
+    for (const key of Object.keys(totals)) totals[key] += result[key];
+  };
+
+  const seen = new Set();
+  let batch = [];
+  for (const agent of store.records()) {
+    seen.add(agent.agentId);
+    // As the sync's summary would, so compliance and back-reference filters
+    // work on records fetched before those checks existed
+    backfillRecord(agent, getChain(agent.chainId));
+    batch.push(agent);
+    if (batch.length === BATCH_SIZE) {
+      add(await sink.write({ agents: batch, deleted: [], lastSync }));
+      batch = [];
+    }
+  }
+  if (seen.size === 0) throw new Error('No agent records in data/agents');
+
+  // Whatever the sink has that the dataset doesn't goes, and the
+  // checkpoints move only once everything else is in
+  const deleted = [];
+  for (const chain of CHAINS) {
+    for (const agentId of await sink.agentIds(chain.chainId)) {
+      if (!seen.has(agentId)) deleted.push(agentId);
+    }
+  }
+  add(await sink.write({
+    agents: batch,
+    deleted,
+    lastSync,
+    checkpoints: Object.fromEntries(CHAINS.map(chain => [chain.chainId, indexCheckpoint(index, chain)]))
+  }));
+
+  console.log(`   Records: ${seen.size}`);
+  console.log(`   Inserted: ${totals.inserted}, updated: ${totals.updated}, unchanged: ${totals.unchanged}, deleted: ${totals.deleted}`);
+}
+
+async function main() {
+  const sinks = createSinks();
+  if (sinks.length === 0) {
+    console.error('Usage: node scripts/import-data.mjs --sink d1 [--local] | --sink sqlite');
+    process.exit(1);
+  }
+
+  const index = existsSync(INDEX_FILE) ? JSON.parse(readFileSync(INDEX_FILE, 'utf8')) : {};
+  const store = createJsonStore(DATA_DIR);
+  for (const sink of sinks) {
+    try {
+      await importInto(sink, store, index);
+    } catch (err) {
+      console.error(`   ${sink.name} failed: ${err.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+main().catch(err => {
+  console.error('Import failed:', err);
+  process.exit(1);
+});
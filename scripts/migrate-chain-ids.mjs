@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Migrate the static dataset to chain-scoped agent IDs
+ *
+ *   data/agents/<id>.json  ->  data/agents/<chainId>/<id>.json
+ *   index.agents: [500]    ->  ["eip155:1:500"]
+ *
+ * Error records written with chain "unknown" can't be placed on a chain, so
+ * they are dropped and their token IDs kept in index.legacyUnresolved for
+ * the next sync to look up on every chain.
+ *
+ * Safe to run more than once; sync.mjs calls it on startup.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { chainIdFor, formatAgentId, compareAgentIds } from '../lib/agent-id.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, '..', 'data');
+const AGENTS_DIR = join(DATA_DIR, 'agents');
+const INDEX_FILE = join(DATA_DIR, 'index.json');
+
+export const LAYOUT_VERSION = 2;
+
+export function migrateLegacyLayout() {
+  if (!existsSync(INDEX_FILE)) return false;
+
+  const index = JSON.parse(readFileSync(INDEX_FILE, 'utf8'));
+  if (index.layoutVersion >= LAYOUT_VERSION) return false;
+
+  console.log('📦 Migrating data/agents to chain-scoped IDs...');
+
+  const agentIds = new Set();
+  const unresolved = new Set(index.legacyUnresolved || []);
+  let moved = 0;
+
+  for (const file of readdirSync(AGENTS_DIR)) {
+    if (!file.endsWith('.json')) continue;
+
+    const legacyPath = join(AGENTS_DIR, file);
+    const agent = JSON.parse(readFileSync(legacyPath, 'utf8'));
+    const chainId = chainIdFor(agent.chain);
+
+    if (chainId === null) {
+      unresolved.add(agent.id);
+    } else {
+      const chainDir = join(AGENTS_DIR, String(chainId));
+      if (!existsSync(chainDir)) mkdirSync(chainDir, { recursive: true });
+
+      const agentId = formatAgentId(chainId, agent.id);
+      writeFileSync(
+        join(chainDir, file),
+        JSON.stringify({ agentId, chainId, ...agent }, null, 2)
+      );
+      agentIds.add(agentId);
+      moved++;
+    }
+
+    rmSync(legacyPath);
+  }
+
+  // Pick up agents already written in the new layout by a partial run
+  for (const entry of readdirSync(AGENTS_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    for (const file of readdirSync(join(AGENTS_DIR, entry.name))) {
+      if (!file.endsWith('.json')) continue;
+      agentIds.add(formatAgentId(entry.name, file.replace('.json', '')));
+    }
+  }
+
+  const agents = Array.from(agentIds).sort(compareAgentIds);
+
+  const migrated = {
+    ...index,
+    layoutVersion: LAYOUT_VERSION,
+    totalAgents: agents.length,
+    agents,
+    legacyUnresolved: Array.from(unresolved).sort((a, b) => a - b)
+  };
+  writeFileSync(INDEX_FILE, JSON.stringify(migrated, null, 2));
+
+  console.log(`   Moved: ${moved}`);
+  console.log(`   Unresolved (no chain): ${migrated.legacyUnresolved.length}`);
+  return true;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  if (!migrateLegacyLayout()) console.log('Nothing to migrate');
+}
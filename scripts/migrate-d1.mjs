@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Apply pending D1 schema migrations
+ *
+ * migrations/NNNN_*.sql upgrade databases created from an older schema.sql.
+ * The applied version is kept in sync_state.schema_version; schema.sql sets
+ * it to the latest migration on a fresh database, so nothing is replayed
+ * there. After migrating, schema.sql is re-run to create any new tables.
+ *
+ * Run locally: node scripts/migrate-d1.mjs --local
+ * Run remote:  node scripts/migrate-d1.mjs
+ */
+
+import { execSync } from 'child_process';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { pendingMigrations, SCHEMA_VERSION_QUERY } from '../lib/storage/schema.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const DB_NAME = 'erc8004-catalog';
+
+const isLocal = process.argv.includes('--local');
+
+function wrangler(args) {
+  const flag = isLocal ? '--local' : '';
+  return execSync(`wrangler d1 execute ${DB_NAME} ${flag} ${args}`, {
+    cwd: ROOT,
+    stdio: 'pipe',
+    encoding: 'utf8'
+  });
+}
+
+function currentVersion() {
+  try {
+    const result = JSON.parse(wrangler(`--command "${SCHEMA_VERSION_QUERY}" --json`));
+    return parseInt(result[0]?.results?.[0]?.value || '0');
+  } catch {
+    // No sync_state table yet
+    return 0;
+  }
+}
+
+function main() {
+  console.log(`D1 migrations (${isLocal ? 'local' : 'remote'})`);
+
+  const version = currentVersion();
+  const pending = pendingMigrations(version);
+
+  console.log(`   Schema version: ${version}`);
+  console.log(`   Pending: ${pending.length}`);
+
+  for (const m of pending) {
+    console.log(`   Applying ${m.file}...`);
+    wrangler(`--file=./migrations/${m.file}`);
+    wrangler(`--command "INSERT OR REPLACE INTO sync_state (key, value) VALUES ('schema_version', '${m.version}')"`);
+  }
+
+  wrangler('--file=./schema.sql');
+  console.log('✅ Schema up to date');
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('Migration failed:', err.stderr || err.message);
+  process.exit(1);
+}
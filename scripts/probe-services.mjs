@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * ERC-8004 Service Probe Script
+ * Checks every agent's web, A2A, MCP and OASF endpoints (see lib/probe.js)
+ * and keeps a rolling health history in each agent file
+ *
+ * Run:           node scripts/probe-services.mjs
+ * Also D1:       node scripts/probe-services.mjs --sink d1 [--local]
+ * Also SQLite:   node scripts/probe-services.mjs --sink sqlite
+ *
+ * PROBE_ALLOW_PRIVATE=1 lets endpoints on localhost/private addresses through,
+ * for testing against local stub servers.
+ */
+
+import { readFileSync, writeFileSync, existsSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { CHAINS } from '../lib/chains.js';
+import { createSinks, writeAgents } from '../lib/storage/index.js';
+import { isProbeable, endpointHost, probeService, createHostLimiter, updateHealth } from '../lib/probe.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const DATA_DIR = join(ROOT, 'data');
+const AGENTS_DIR = join(DATA_DIR, 'agents');
+const INDEX_FILE = join(DATA_DIR, 'index.json');
+
+const PROBE_CONCURRENCY = parseInt(process.env.PROBE_CONCURRENCY || '20');
+const PROBE_PER_HOST = parseInt(process.env.PROBE_PER_HOST || '2');
+const PROBE_TIMEOUT = parseInt(process.env.PROBE_TIMEOUT || '10000');
+
+// Probes kept per endpoint: a week at the workflow's 6-hourly schedule
+const PROBE_HISTORY = parseInt(process.env.PROBE_HISTORY || '28');
+
+const ALLOW_PRIVATE = process.env.PROBE_ALLOW_PRIVATE === '1';
+
+// Where the updated records also go (--sink d1,sqlite); see lib/storage/index.js
+const sinks = createSinks();
+
+function agentFiles() {
+  const files = [];
+  for (const chainId of readdirSync(AGENTS_DIR)) {
+    const dir = join(AGENTS_DIR, chainId);
+    if (!/^\d+$/.test(chainId)) continue;
+    for (const file of readdirSync(dir)) {
+      if (file.endsWith('.json')) files.push(join(dir, file));
+    }
+  }
+  return files;
+}
+
+/**
+ * Write the updated records to every sink; the sinks diff by content hash,
+ * so only agents whose health changed are written
+ */
+async function writeToSinks(agents) {
+  for (const sink of sinks) {
+    console.log(`💾 Writing to ${sink.name}...`);
+    try {
+      const { inserted, updated, unchanged } = await writeAgents(sink, agents);
+      console.log(`   Inserted: ${inserted}, updated: ${updated}, unchanged: ${unchanged}`);
+    } catch (err) {
+      console.error(`   ${sink.name} failed: ${err.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+async function probeAgents() {
+  console.log('🩺 Probing agent service endpoints...');
+
+  const agents = [];
+  for (const file of agentFiles()) {
+    const agent = JSON.parse(readFileSync(file, 'utf8'));
+    if (agent.removed || agent.error) continue;
+    const services = (agent.services || []).filter(isProbeable);
+    if (services.length > 0 || agent.health) agents.push({ file, agent, services });
+  }
+  const endpointCount = agents.reduce((sum, a) => sum + a.services.length, 0);
+  console.log(`   ${agents.length} agents, ${endpointCount} endpoints`);
+
+  const limit = createHostLimiter({ perHost: PROBE_PER_HOST, total: PROBE_CONCURRENCY });
+  const options = { timeout: PROBE_TIMEOUT, allowPrivate: ALLOW_PRIVATE };
+  let done = 0;
+
+  await Promise.all(agents.map(async entry => {
+    const { file, agent, services } = entry;
+    const results = await Promise.all(services.map(async service => {
+      // Malformed endpoints are recorded as bad_url without a request
+      const host = endpointHost(service.endpoint) ?? 'invalid';
+      const result = await limit(host, () => probeService(service, options));
+      return { service, result };
+    }));
+
+    // Agents that dropped all their endpoints lose their health record
+    if (results.length === 0) delete agent.health;
+    else agent.health = updateHealth(agent.health, results, PROBE_HISTORY);
+    writeFileSync(file, JSON.stringify(agent, null, 2));
+
+    done++;
+    if (done % 100 === 0) process.stdout.write(`\r   Probed ${done}/${agents.length}`);
+  }));
+
+  const probed = agents.filter(a => a.agent.health);
+
+  // Keep index.json's health counts current until the next sync recomputes them
+  if (existsSync(INDEX_FILE)) {
+    const index = JSON.parse(readFileSync(INDEX_FILE, 'utf8'));
+    for (const chain of CHAINS) {
+      const stats = index.stats?.[chain.key];
+      if (!stats) continue;
+      const onChain = probed.filter(a => a.agent.chainId === chain.chainId);
+      stats.probed = onChain.length;
+      stats.live = onChain.filter(a => a.agent.health.live).length;
+    }
+    writeFileSync(INDEX_FILE, JSON.stringify(index, null, 2));
+  }
+
+  const live = probed.filter(a => a.agent.health.live).length;
+  const upEndpoints = probed.reduce((sum, a) => sum + a.agent.health.endpoints.filter(e => e.history.at(-1)?.up).length, 0);
+  console.log(`\n✅ Probe complete!`);
+  console.log(`   Live agents: ${live}/${probed.length}`);
+  console.log(`   Endpoints up: ${upEndpoints}/${endpointCount}`);
+
+  await writeToSinks(agents.map(a => a.agent));
+}
+
+probeAgents().catch(err => {
+  console.error('Probe failed:', err);
+  process.exit(1);
+});
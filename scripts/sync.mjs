@@ -1,48 +1,107 @@
 #!/usr/bin/env node
 /**
  * ERC-8004 Agent Sync Script
- * Syncs agents from BOTH Ethereum mainnet and Base
+ * Syncs agents from every chain in lib/chains.js into data/, and from there
+ * into any other storage picked with --sink (see lib/storage/index.js)
+ *
+ * Run:              node scripts/sync.mjs
+ * Also D1:          node scripts/sync.mjs --sink d1 [--local]
+ * Also SQLite:      node scripts/sync.mjs --sink sqlite
  */
 
-import { createPublicClient, http, parseAbiItem } from 'viem';
-import { mainnet, base } from 'viem/chains';
-import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
+import { parseAbiItem } from 'viem';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { CHAINS, getChain, selectedChains } from '../lib/chains.js';
+import { formatAgentId, parseAgentId, compareAgentIds } from '../lib/agent-id.js';
+import { fetchAgentURI, UnsupportedURIError } from '../lib/agent-uri.js';
+import { FetchError } from '../lib/fetcher.js';
+import { validateRegistration, checkBackReferences, backfillRecord, COMPLIANCE_LEVELS, BACKREF_STATUSES } from '../lib/registration.js';
+import { metadataFields } from '../lib/normalize.js';
+import { fetchAgentCard } from '../lib/a2a.js';
+import { introspectMCP } from '../lib/mcp.js';
+import { verifyDomains, endpointOrigins } from '../lib/domains.js';
+import { aggregate3, isBatchLimitError, isUnavailableError } from '../lib/multicall.js';
+import { createProviderPool, isRangeError } from '../lib/rpc-pool.js';
+import { createJsonStore, indexCheckpoint } from '../lib/storage/json.js';
+import { createSinks } from '../lib/storage/index.js';
+import { createEnsClient, createEnsResolver, pruneEnsCache } from '../lib/ens.js';
+import { FEEDBACK_EVENTS, feedbackFromLog, feedbackKey, summarizeReputation } from '../lib/reputation.js';
+import { VALIDATION_EVENTS, applyValidationLog, summarizeValidation } from '../lib/validation.js';
+import { migrateLegacyLayout, LAYOUT_VERSION } from './migrate-chain-ids.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = join(__dirname, '..', 'data');
 const AGENTS_DIR = join(DATA_DIR, 'agents');
 const INDEX_FILE = join(DATA_DIR, 'index.json');
+const ENS_CACHE_FILE = join(DATA_DIR, 'ens.json');
 
-const REGISTRY = '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432';
 const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
 
-// Ethereum: Contract around block 24340000
-const ETH_START_BLOCK = 21000000n; // Earlier to catch all mints
-const ETH_BLOCK_CHUNK = 5000n;
+// Chains to scan this run (SYNC_CHAINS=base to limit); see lib/chains.js
+const SYNC_CHAINS = selectedChains();
 
-// Base: Contract around block 41500000
-const BASE_START_BLOCK = 41500000n;
-const BASE_BLOCK_CHUNK = 10000n;
+const PARALLEL_FETCHES = parseInt(process.env.PARALLEL_FETCHES || '10');
 
-// RPC endpoints
-const ETH_RPCS = [
-  'https://ethereum-rpc.publicnode.com',
-  'https://eth.llamarpc.com',
-  'https://1rpc.io/eth',
-  'https://eth.drpc.org'
-];
+// Requests a run may send to each RPC provider, unless lib/chains.js gives
+// the provider its own budget (unlimited when unset)
+const RPC_BUDGET = parseInt(process.env.RPC_BUDGET || '0') || Infinity;
 
-const BASE_RPCS = [
-  'https://base.llamarpc.com',
-  'https://base-rpc.publicnode.com', 
-  'https://base.drpc.org',
-  'https://1rpc.io/base',
-  'https://base.meowrpc.com'
-];
+// tokenURI/ownerOf are read through Multicall3 for READ_AHEAD queued agents
+// at a time, MULTICALL_BATCH tokens per call (halved whenever a provider
+// rejects a call that size)
+const MULTICALL_BATCH = parseInt(process.env.MULTICALL_BATCH || '100');
+const READ_AHEAD = PARALLEL_FETCHES * 20;
 
-const PARALLEL_FETCHES = parseInt(process.env.PARALLEL_FETCHES || '10');
+// Times a multicall that failed for any other reason is sent again before
+// its tokens are left to direct reads
+const MULTICALL_RETRIES = 3;
+
+// Agents per sink write
+const SINK_BATCH = 1000;
+
+// Chunks per scan window; the chain's checkpoint is saved after each window
+const CHECKPOINT_CHUNKS = parseInt(process.env.CHECKPOINT_CHUNKS || '20');
+
+// A chunk halved for a too-large range doubles again (up to the chain's
+// blockChunk) after a window's worth of chunks in a row go through
+const CHUNK_GROW_AFTER = CHECKPOINT_CHUNKS;
+
+// Failed fetches are retried RETRY_BASE_HOURS later, doubling with every
+// attempt up to RETRY_MAX_HOURS; at most RETRY_BATCH due agents per run
+const RETRY_BASE_HOURS = 6;
+const RETRY_MAX_HOURS = 24 * 7;
+const RETRY_BATCH = parseInt(process.env.RETRY_BATCH || '500');
+
+// Service details (A2A agent cards, MCP tool lists, endpoint domain checks)
+// are refetched along with their registration, and on their own once older
+// than DETAILS_MAX_AGE_DAYS (at most DETAILS_BATCH agents a run)
+const DETAILS_MAX_AGE_DAYS = 7;
+const DETAILS_BATCH = parseInt(process.env.DETAILS_BATCH || '200');
+
+// Owner ENS names and ENS services are re-resolved once older than
+// ENS_TTL_HOURS, or when the owner changed (at most ENS_BATCH agents a run);
+// lookups are cached in data/ens.json for the same TTL
+const ENS_TTL_HOURS = parseInt(process.env.ENS_TTL_HOURS || '24');
+const ENS_BATCH = parseInt(process.env.ENS_BATCH || '500');
+
+// Agent field, the service it describes and how to fetch it
+const SERVICE_DETAILS = [
+  {
+    field: 'a2aCard',
+    service: 'A2A',
+    fetch: async endpoint => {
+      const { card, source } = await fetchAgentCard(endpoint);
+      return { ...card, source };
+    }
+  },
+  {
+    field: 'mcp',
+    service: 'MCP',
+    fetch: async endpoint => ({ ...await introspectMCP(endpoint), endpoint })
+  }
+];
 
 const REGISTRY_ABI = [
   {
@@ -63,106 +122,215 @@ const REGISTRY_ABI = [
 
 const TRANSFER_EVENT = parseAbiItem('event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)');
 
+// Emitted when a registration changes after mint; any of these queues a refetch
+const UPDATE_EVENTS = [
+  parseAbiItem('event URIUpdated(uint256 indexed agentId, string newURI, address indexed updatedBy)'),
+  parseAbiItem('event MetadataSet(uint256 indexed agentId, string indexed indexedMetadataKey, string metadataKey, bytes metadataValue)'),
+  parseAbiItem('event MetadataUpdate(uint256 _tokenId)')
+];
+
 if (!existsSync(AGENTS_DIR)) mkdirSync(AGENTS_DIR, { recursive: true });
 
-let index = { lastSync: null, ethLastBlock: 0, baseLastBlock: 0, totalAgents: 0, agents: [], stats: {} };
+migrateLegacyLayout();
+
+// Agent records; see lib/storage/json.js
+const store = createJsonStore(DATA_DIR);
+
+// Where else this run's records go (--sink d1,sqlite); see lib/storage/index.js
+const sinks = createSinks();
+
+let index = { layoutVersion: LAYOUT_VERSION, lastSync: null, chains: {}, totalAgents: 0, agents: [], stats: {} };
 if (existsSync(INDEX_FILE)) {
   index = JSON.parse(readFileSync(INDEX_FILE, 'utf8'));
 }
 
-let ethRpcIndex = 0;
-let baseRpcIndex = 0;
+// RPC provider pool per chain key; see lib/rpc-pool.js
+const pools = new Map(SYNC_CHAINS.map(chain => [chain.key, createProviderPool(chain, {
+  budget: RPC_BUDGET,
+  // Retrying an oversized range or multicall won't help; the caller splits
+  // it instead
+  isCallerError: err => isRangeError(err) || isBatchLimitError(err)
+})]));
 
-function createEthClient() {
-  return createPublicClient({
-    chain: mainnet,
-    transport: http(ETH_RPCS[ethRpcIndex % ETH_RPCS.length])
-  });
+/**
+ * Run fn(client) on the chain's healthiest RPC, failing over to the others
+ */
+function rpc(chain, fn) {
+  return pools.get(chain.key).call(fn);
 }
 
-function createBaseClient() {
-  return createPublicClient({
-    chain: base,
-    transport: http(BASE_RPCS[baseRpcIndex % BASE_RPCS.length])
-  });
+function lastScannedBlock(chain) {
+  return indexCheckpoint(index, chain);
 }
 
-let ethClient = createEthClient();
-let baseClient = createBaseClient();
+// Current getLogs chunk per chain key, halved whenever a provider rejects a
+// range and grown back after CHUNK_GROW_AFTER clean chunks (counted in
+// chunkStreaks)
+const chunkSizes = new Map();
+const chunkStreaks = new Map();
 
-async function withRetry(fn, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      return await fn();
-    } catch (err) {
-      if (i === retries - 1) throw err;
-      ethRpcIndex++;
-      baseRpcIndex++;
-      ethClient = createEthClient();
-      baseClient = createBaseClient();
-      await new Promise(r => setTimeout(r, 500 * (i + 1)));
-    }
+// Current multicall size per chain key, likewise halved when a provider says
+// a call is too big; 0 once even a single token is, or the chain turns out
+// to have no working Multicall3, turning multicall off for the run
+const multicallSizes = new Map();
+
+// eth_calls spent on token reads this run, for the summary
+const tokenReads = { tokens: 0, multicalls: 0, direct: 0 };
+
+// Logs seen near each chain's checkpoint, keyed by logKey, so the next run can
+// tell which of them a reorg dropped
+const recentLogs = new Map();
+
+// A log is identified by its block hash and position alone: a reorg that
+// drops or moves it changes one or the other
+function logKey(log) {
+  return `${log.blockHash}:${log.logIndex}`;
+}
+
+function rememberLogs(chain, logs) {
+  if (!recentLogs.has(chain.key)) recentLogs.set(chain.key, new Map());
+  const seen = recentLogs.get(chain.key);
+  for (const log of logs) {
+    const entry = {
+      tokenId: Number(log.args?.tokenId ?? log.args?.agentId ?? log.args?._tokenId),
+      blockNumber: Number(log.blockNumber),
+      blockHash: log.blockHash,
+      txHash: log.transactionHash,
+      logIndex: log.logIndex
+    };
+    seen.set(logKey(entry), entry);
   }
 }
 
-async function parseAgentURI(uri) {
-  if (!uri) return {};
-  try {
-    if (uri.startsWith('data:application/json;base64,')) {
-      const base64 = uri.replace('data:application/json;base64,', '');
-      return JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
-    }
-    if (uri.startsWith('data:application/json,')) {
-      return JSON.parse(decodeURIComponent(uri.replace('data:application/json,', '')));
-    }
-    if (uri.startsWith('http')) {
-      const res = await fetch(uri, { signal: AbortSignal.timeout(10000) });
-      return res.json();
-    }
-    if (uri.startsWith('ipfs://')) {
-      const cid = uri.replace('ipfs://', '');
-      const gateways = [
-        `https://ipfs.io/ipfs/${cid}`,
-        `https://cloudflare-ipfs.com/ipfs/${cid}`,
-        `https://gateway.pinata.cloud/ipfs/${cid}`
-      ];
-      for (const gw of gateways) {
-        try {
-          const res = await fetch(gw, { signal: AbortSignal.timeout(15000) });
-          if (res.ok) return res.json();
-        } catch {}
-      }
+/**
+ * Coalesce overlapping or adjacent { fromBlock, toBlock } ranges
+ */
+function mergeRanges(ranges) {
+  const merged = [];
+  for (const range of [...ranges].sort((a, b) => a.fromBlock - b.fromBlock)) {
+    const last = merged[merged.length - 1];
+    if (last && range.fromBlock <= last.toBlock + 1) {
+      last.toBlock = Math.max(last.toBlock, range.toBlock);
+    } else {
+      merged.push({ ...range });
     }
-  } catch (e) {
-    return {};
   }
+  return merged;
 }
 
-async function getMintEvents(client, fromBlock, toBlock, label) {
-  console.log(`📥 Scanning ${label} blocks ${fromBlock} to ${toBlock}...`);
-  
-  const allMints = new Map();
+/**
+ * Count a clean getLogs chunk, doubling a halved chunk size back towards the
+ * chain's blockChunk once CHUNK_GROW_AFTER have gone through in a row
+ */
+function growChunk(chain) {
+  const streak = (chunkStreaks.get(chain.key) || 0) + 1;
+  const chunk = chunkSizes.get(chain.key);
+  const full = BigInt(chain.blockChunk);
+  if (streak < CHUNK_GROW_AFTER || chunk >= full) {
+    chunkStreaks.set(chain.key, streak);
+    return;
+  }
+  const larger = chunk * 2n > full ? full : chunk * 2n;
+  chunkSizes.set(chain.key, larger);
+  chunkStreaks.set(chain.key, 0);
+  console.log(`\n     ${CHUNK_GROW_AFTER} chunks in a row went through, chunk now ${larger} blocks`);
+}
+
+/**
+ * Walk [fromBlock, toBlock] in chunks, calling onLogs with each chunk's logs.
+ * A chunk the provider calls too large is split in half and retried; a chunk
+ * that still fails is skipped and returned in the failed ranges so the
+ * caller can ledger it instead of losing it. Logs are remembered for the
+ * next reorg check unless `remember` is false.
+ */
+async function scanLogs(chain, filter, fromBlock, toBlock, label) {
+  const { onLogs, remember = true, ...logFilter } = filter;
+  const failed = [];
   let current = BigInt(fromBlock);
   const end = BigInt(toBlock);
-  const chunk = label.includes('Base') ? BASE_BLOCK_CHUNK : ETH_BLOCK_CHUNK;
+  if (!chunkSizes.has(chain.key)) chunkSizes.set(chain.key, BigInt(chain.blockChunk));
   
   while (current <= end) {
+    const chunk = chunkSizes.get(chain.key);
     const chunkEnd = current + chunk > end ? end : current + chunk - 1n;
     
     try {
-      const logs = await withRetry(() => 
+      const logs = await rpc(chain, client => 
         client.getLogs({
-          address: REGISTRY,
-          event: TRANSFER_EVENT,
-          args: { from: ZERO_ADDRESS },
+          ...logFilter,
           fromBlock: current,
           toBlock: chunkEnd
         })
       );
       
+      if (remember) rememberLogs(chain, logs);
+      const found = onLogs(logs);
+      process.stdout.write(`\r   ${label}: block ${chunkEnd} - found ${found}`);
+      current = chunkEnd + 1n;
+      growChunk(chain);
+    } catch (err) {
+      if (isRangeError(err) && chunkEnd > current) {
+        const smaller = (chunkEnd - current + 1n) / 2n;
+        chunkSizes.set(chain.key, smaller);
+        chunkStreaks.set(chain.key, 0);
+        console.log(`\n     Range ${current}-${chunkEnd} too large, chunk now ${smaller} blocks`);
+        continue;
+      }
+      const reason = err.details || err.shortMessage || err.message;
+      console.error(`     Error at ${current}-${chunkEnd}: ${reason?.slice(0, 40)}`);
+      failed.push({ fromBlock: Number(current), toBlock: Number(chunkEnd), error: reason?.slice(0, 100) });
+      current = chunkEnd + 1n;
+    }
+    
+    await new Promise(r => setTimeout(r, 100));
+  }
+  
+  return failed;
+}
+
+/**
+ * Scan every Transfer and registration update in the range. Mints (from 0x0)
+ * are returned separately so new agents can be fetched; all transfers, mints
+ * and burns included, are grouped per token in block order for the owner
+ * history. URI/metadata updates are grouped per token the same way.
+ */
+async function getRegistryEvents(chain, fromBlock, toBlock) {
+  const label = chain.name;
+  console.log(`📥 Scanning ${label} blocks ${fromBlock} to ${toBlock}...`);
+  
+  const allMints = new Map();
+  const transfers = new Map();
+  const updates = new Map();
+  
+  const failed = await scanLogs(chain, {
+    address: chain.registries.identity,
+    events: [TRANSFER_EVENT, ...UPDATE_EVENTS],
+    onLogs: logs => {
       for (const log of logs) {
+        if (log.eventName !== 'Transfer') {
+          const tokenId = Number(log.args.agentId ?? log.args._tokenId);
+          if (!updates.has(tokenId)) updates.set(tokenId, []);
+          updates.get(tokenId).push({
+            event: log.eventName,
+            key: log.args.metadataKey,
+            blockNumber: Number(log.blockNumber),
+            logIndex: log.logIndex,
+            txHash: log.transactionHash
+          });
+          continue;
+        }
+
         const tokenId = Number(log.args.tokenId);
-        if (!allMints.has(tokenId)) {
+        if (!transfers.has(tokenId)) transfers.set(tokenId, []);
+        transfers.get(tokenId).push({
+          from: log.args.from,
+          to: log.args.to,
+          blockNumber: Number(log.blockNumber),
+          logIndex: log.logIndex,
+          txHash: log.transactionHash
+        });
+
+        if (log.args.from === ZERO_ADDRESS && !allMints.has(tokenId)) {
           allMints.set(tokenId, {
             tokenId,
             to: log.args.to,
@@ -171,179 +339,1092 @@ async function getMintEvents(client, fromBlock, toBlock, label) {
           });
         }
       }
-      
-      process.stdout.write(`\r   ${label}: block ${chunkEnd} - found ${allMints.size}`);
+      return allMints.size;
+    }
+  }, fromBlock, toBlock, label);
+  
+  console.log(`   Total mints: ${allMints.size}, updated: ${updates.size}`);
+  return { mints: allMints, transfers, updates, failed };
+}
+
+/**
+ * Scan Reputation Registry feedback and revocations in the range, grouped
+ * per token in block order
+ */
+async function getFeedbackEvents(chain, fromBlock, toBlock) {
+  const label = chain.name;
+  console.log(`📥 Scanning ${label} feedback ${fromBlock} to ${toBlock}...`);
+
+  const feedback = new Map();
+  let count = 0;
+
+  const failed = await scanLogs(chain, {
+    address: chain.registries.reputation,
+    events: FEEDBACK_EVENTS,
+    onLogs: logs => {
+      for (const log of logs) {
+        const tokenId = Number(log.args.agentId);
+        if (!feedback.has(tokenId)) feedback.set(tokenId, []);
+        feedback.get(tokenId).push(log.eventName === 'NewFeedback'
+          ? feedbackFromLog(log)
+          : {
+              revoke: feedbackKey(log.args.clientAddress, log.args.feedbackIndex),
+              blockNumber: Number(log.blockNumber),
+              txHash: log.transactionHash
+            });
+        count++;
+      }
+      return count;
+    }
+  }, fromBlock, toBlock, `${label} feedback`);
+
+  console.log(`   Total feedback events: ${count}`);
+  return { feedback, failed };
+}
+
+/**
+ * Scan Validation Registry requests and responses in the range, grouped per
+ * token in block order
+ */
+async function getValidationEvents(chain, fromBlock, toBlock) {
+  const label = chain.name;
+  console.log(`📥 Scanning ${label} validations ${fromBlock} to ${toBlock}...`);
+
+  const validations = new Map();
+  let count = 0;
+
+  const failed = await scanLogs(chain, {
+    address: chain.registries.validation,
+    events: VALIDATION_EVENTS,
+    onLogs: logs => {
+      for (const log of logs) {
+        const tokenId = Number(log.args.agentId);
+        if (!validations.has(tokenId)) validations.set(tokenId, []);
+        validations.get(tokenId).push(log);
+        count++;
+      }
+      return count;
+    }
+  }, fromBlock, toBlock, `${label} validations`);
+
+  console.log(`   Total validation events: ${count}`);
+  return { validations, failed };
+}
+
+/**
+ * Merge a run's feedback into each agent's file and recompute its reputation.
+ * Entries are keyed by client + feedbackIndex, so re-scans don't duplicate.
+ * Feedback for tokens not on file is skipped; it is picked up again by a
+ * FORCE_REFRESH once the agent exists.
+ */
+function applyFeedback(chain, feedbackEvents) {
+  const { chainId } = chain;
+  let updated = 0;
+  let orphaned = 0;
+
+  for (const [tokenId, events] of feedbackEvents) {
+    const agent = store.read(chainId, tokenId);
+    if (!agent) {
+      orphaned++;
+      continue;
+    }
+
+    const entries = new Map((agent.feedback || []).map(f => [feedbackKey(f.client, f.feedbackIndex), f]));
+
+    for (const event of events) {
+      if (event.revoke) {
+        const entry = entries.get(event.revoke);
+        if (entry) {
+          entry.revoked = true;
+          entry.revokedAt = { blockNumber: event.blockNumber, txHash: event.txHash };
+        }
+      } else if (!entries.has(feedbackKey(event.client, event.feedbackIndex))) {
+        entries.set(feedbackKey(event.client, event.feedbackIndex), event);
+      }
+    }
+
+    agent.feedback = Array.from(entries.values()).sort((a, b) => a.blockNumber - b.blockNumber);
+    agent.reputation = summarizeReputation(agent.feedback);
+
+    store.write(agent);
+    updated++;
+  }
+
+  return { updated, orphaned };
+}
+
+/**
+ * Merge a run's validation logs into each agent's file, keyed by requestHash,
+ * and recompute its validation status. The agent's claimed supportedTrust
+ * models are copied into the summary so they can be compared at a glance.
+ */
+function applyValidations(chain, validationLogs) {
+  const { chainId } = chain;
+  let updated = 0;
+  let orphaned = 0;
+
+  for (const [tokenId, logs] of validationLogs) {
+    const agent = store.read(chainId, tokenId);
+    if (!agent) {
+      orphaned++;
+      continue;
+    }
+
+    const records = new Map((agent.validations || []).map(v => [v.requestHash, v]));
+    for (const log of logs) applyValidationLog(records, log);
+
+    agent.validations = Array.from(records.values());
+    agent.validation = {
+      ...summarizeValidation(agent.validations),
+      supportedTrust: agent.supportedTrust || []
+    };
+
+    store.write(agent);
+    updated++;
+  }
+
+  return { updated, orphaned };
+}
+
+/**
+ * Fold a run's transfers into each agent's ownerHistory. History entries are
+ * keyed by tx hash + log index, so re-scanning a range is harmless. A transfer
+ * to 0x0 is a burn: the agent stays on file but is marked removed.
+ */
+function applyTransfers(chain, transfers) {
+  const { chainId } = chain;
+  let updated = 0;
+  let burned = 0;
+
+  for (const [tokenId, events] of transfers) {
+    const agent = store.read(chainId, tokenId)
+      || { agentId: formatAgentId(chainId, tokenId), chainId, id: tokenId, chain: chain.key, syncedAt: new Date().toISOString() };
+
+    const history = agent.ownerHistory || [];
+    const seen = new Set(history.map(h => `${h.txHash}:${h.logIndex}`));
+    for (const event of events) {
+      if (seen.has(`${event.txHash}:${event.logIndex}`)) continue;
+      history.push(event);
+    }
+    history.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    const last = history[history.length - 1];
+    agent.ownerHistory = history;
+    agent.owner = last.to;
+
+    if (last.to === ZERO_ADDRESS) {
+      // Burned tokens can't be read any more, so drop the fetch error
+      delete agent.error;
+      agent.removed = true;
+      agent.active = false;
+      agent.removedAt = { blockNumber: last.blockNumber, txHash: last.txHash };
+      burned++;
+    }
+
+    store.write(agent);
+    updated++;
+  }
+
+  return { updated, burned };
+}
+
+// Built up by scan stages, the prober, the image stage and the ENS pass
+// rather than fetchAgent, so kept across refetches
+function carriedFields(previous) {
+  return {
+    ownerHistory: previous?.ownerHistory || [],
+    feedback: previous?.feedback || [],
+    reputation: previous?.reputation || null,
+    validations: previous?.validations || [],
+    validation: previous?.validation || null,
+    ...(previous?.health ? { health: previous.health } : {}),
+    ...(previous?.imageCheck ? { imageCheck: previous.imageCheck } : {}),
+    ...(previous?.ens ? { ownerEns: previous.ownerEns, ens: previous.ens } : {})
+  };
+}
+
+// The token as back-references name it: chain, identity registry, token ID
+function tokenRef(chain, id) {
+  return { chainId: chain.chainId, registry: chain.registries.identity, tokenId: id };
+}
+
+/**
+ * Check the registration's back-references against this chain's identity
+ * registry and token ID
+ */
+function registrationCheck(chain, id, metadata) {
+  return checkBackReferences(metadata?.registrations, tokenRef(chain, id));
+}
+
+/**
+ * Fetch one kind of service detail for the agent's first service of that
+ * kind, or null if it has none. A failed fetch keeps the last good result
+ * and records the error.
+ */
+async function fetchDetails(detail, services, previous) {
+  const service = services.find(s => s.name === detail.service && /^https?:\/\//i.test(s.endpoint || ''));
+  if (!service) return null;
+  
+  try {
+    return { ...await detail.fetch(service.endpoint), fetchedAt: new Date().toISOString() };
+  } catch (err) {
+    const { error, failedAt, ...lastGood } = previous || {};
+    return {
+      ...lastGood,
+      error: err.message?.slice(0, 100),
+      failedAt: new Date().toISOString()
+    };
+  }
+}
+
+// Well-known registration files fetched this run, by origin
+const wellKnownCache = new Map();
+
+// Every kind of service detail for an agent, keyed by field, plus the
+// endpoint domain checks
+async function serviceDetails(chain, id, services, previous) {
+  const [domainVerification, ...details] = await Promise.all([
+    verifyDomains(services, tokenRef(chain, id), { cache: wellKnownCache }),
+    ...SERVICE_DETAILS.map(d => fetchDetails(d, services, previous?.[d.field]))
+  ]);
+  return {
+    ...Object.fromEntries(SERVICE_DETAILS.map((d, i) => [d.field, details[i]])),
+    domainVerification
+  };
+}
+
+/**
+ * Bump metadataVersion when the registration URI or its content changed since
+ * the last successful fetch, remembering the URI it replaced
+ */
+function versionInfo(previous, uri, metadata) {
+  const metadataVersion = previous?.metadataVersion || 1;
+  const previousUri = previous?.previousUri ?? null;
+  if (!previous || previous.rawMetadata === undefined) return { metadataVersion, previousUri };
+
+  const uriChanged = previous.uri !== undefined && previous.uri !== uri;
+  const contentChanged = JSON.stringify(previous.rawMetadata) !== JSON.stringify(metadata);
+  if (!uriChanged && !contentChanged) return { metadataVersion, previousUri };
+
+  return {
+    metadataVersion: metadataVersion + 1,
+    previousUri: uriChanged ? previous.uri : previousUri
+  };
+}
+
+/**
+ * Sort a failed fetch into a retry category:
+ *   rpc              tokenURI/ownerOf failed at the provider
+ *   not_found        the call reverted, so the token doesn't exist (or is burned)
+ *   unsupported_uri  nothing knows how to resolve the registration URI
+ *   invalid_json     the URI resolved to something that isn't JSON, usually an
+ *                    HTML gateway or error page
+ *   blocked          the URL points at a private address or a non-http scheme
+ *   metadata         fetching the registration failed some other way
+ */
+function errorCategory(err, stage) {
+  if (stage === 'rpc') {
+    return err.walk?.(e => e.name === 'ContractFunctionRevertedError') ? 'not_found' : 'rpc';
+  }
+  if (err instanceof UnsupportedURIError) return 'unsupported_uri';
+  if (err instanceof SyntaxError || err.reason === 'content_type') return 'invalid_json';
+  if (err.reason === 'blocked_address' || err.reason === 'bad_scheme') return 'blocked';
+  return 'metadata';
+}
+
+/**
+ * Retry bookkeeping for a failed fetch: attempts so far, when the agent first
+ * failed, and when it's due again (exponential backoff)
+ */
+function retryState(previous, category) {
+  const attempts = (previous?.error ? previous.retry?.attempts || 0 : 0) + 1;
+  const hours = Math.min(RETRY_BASE_HOURS * 2 ** (attempts - 1), RETRY_MAX_HOURS);
+  const now = new Date();
+  return {
+    category,
+    attempts,
+    firstFailedAt: previous?.error
+      ? previous.retry?.firstFailedAt || previous.syncedAt
+      : now.toISOString(),
+    nextRetryAt: new Date(now.getTime() + hours * 3600 * 1000).toISOString()
+  };
+}
+
+/**
+ * tokenURI and ownerOf for many tokens of one chain: one aggregate3 call
+ * per MULTICALL_BATCH tokens instead of two eth_calls for each.
+ * Resolves to a Map of token ID to { uri, owner } or { error } (the revert,
+ * classified like a direct read's). Tokens left out of the map, because
+ * their calls failed ambiguously or multicall doesn't work on this chain's
+ * provider at all, are read directly by fetchAgent.
+ */
+async function readTokens(chain, ids) {
+  const reads = new Map();
+  if (!multicallSizes.has(chain.key)) multicallSizes.set(chain.key, chain.multicall3 ? MULTICALL_BATCH : 0);
+  if (multicallSizes.get(chain.key) === 0) return reads;
+  
+  let pending = ids;
+  let failures = 0;
+  while (pending.length > 0) {
+    const size = multicallSizes.get(chain.key);
+    const slice = pending.slice(0, size);
+    const calls = slice.flatMap(id => ['tokenURI', 'ownerOf'].map(functionName => ({
+      address: chain.registries.identity,
+      abi: REGISTRY_ABI,
+      functionName,
+      args: [BigInt(id)]
+    })));
+    
+    let results;
+    try {
+      tokenReads.multicalls++;
+      results = await rpc(chain, client => aggregate3(client, chain.multicall3, calls));
     } catch (err) {
-      console.error(`     Error at ${current}-${chunkEnd}: ${err.message?.slice(0, 40)}`);
+      const sizeLimited = isBatchLimitError(err);
+      if (sizeLimited && slice.length > 1) {
+        const smaller = Math.ceil(slice.length / 2);
+        multicallSizes.set(chain.key, smaller);
+        console.log(`\n     Multicall of ${slice.length} tokens too large, now ${smaller} per call`);
+        continue;
+      }
+      if (sizeLimited || isUnavailableError(err)) {
+        // Leave this run's reads to fetchAgent
+        multicallSizes.set(chain.key, 0);
+        console.log(`\n     Multicall unavailable on ${chain.name}, reading tokens directly`);
+        return reads;
+      }
+      // Timeouts, rate limits and the like: the pool picks a provider again
+      // for the same batch
+      if (++failures < MULTICALL_RETRIES) continue;
+      const reason = err.details || err.shortMessage || err.message;
+      console.log(`\n     Multicall failed ${failures} times (${reason?.slice(0, 60)}), reading ${pending.length} tokens directly`);
+      return reads;
     }
+    failures = 0;
     
-    current = chunkEnd + 1n;
-    await new Promise(r => setTimeout(r, 100));
+    for (const [j, id] of slice.entries()) {
+      const [uri, owner] = results.slice(j * 2, j * 2 + 2);
+      const reverted = [uri, owner].find(r => r.status === 'reverted');
+      if (reverted) reads.set(id, { error: reverted.error });
+      else if (uri.status === 'success' && owner.status === 'success') reads.set(id, { uri: uri.result, owner: owner.result });
+    }
+    tokenReads.tokens += slice.length;
+    pending = pending.slice(slice.length);
   }
-  
-  console.log(`   Total mints: ${allMints.size}`);
-  return allMints;
+  return reads;
 }
 
-async function fetchAgent(client, id, mintInfo) {
+/**
+ * Token reads for a stretch of the fetch queue, keyed by agent ID
+ */
+async function readQueue(entries) {
+  const reads = new Map();
+  for (const chain of SYNC_CHAINS) {
+    const ids = entries.filter(e => e.chain.key === chain.key).map(e => e.id);
+    if (ids.length === 0) continue;
+    for (const [id, read] of await readTokens(chain, ids)) reads.set(formatAgentId(chain.chainId, id), read);
+  }
+  return reads;
+}
+
+async function fetchAgent(chain, id, mintInfo, updateInfo, read = null) {
+  const { chainId } = chain;
+  const agentId = formatAgentId(chainId, id);
+  const previous = store.read(chainId, id);
+
+  // Burned tokens revert on tokenURI/ownerOf; keep the removed record as is
+  if (previous?.removed) return previous;
+
+  let stage = 'rpc';
   try {
-    const [uri, owner] = await Promise.all([
-      withRetry(() => client.readContract({
-        address: REGISTRY,
+    if (read?.error) throw read.error;
+    if (!read) tokenReads.direct += 2;
+    const [uri, owner] = read ? [read.uri, read.owner] : await Promise.all([
+      rpc(chain, client => client.readContract({
+        address: chain.registries.identity,
         abi: REGISTRY_ABI,
         functionName: 'tokenURI',
         args: [BigInt(id)]
       })),
-      withRetry(() => client.readContract({
-        address: REGISTRY,
+      rpc(chain, client => client.readContract({
+        address: chain.registries.identity,
         abi: REGISTRY_ABI,
         functionName: 'ownerOf',
         args: [BigInt(id)]
       }))
     ]);
 
-    const metadata = await parseAgentURI(uri);
+    stage = 'metadata';
+    const { metadata, source } = await fetchAgentURI(uri);
+    const { metadataVersion, previousUri } = versionInfo(previous, uri, metadata);
+    const fields = metadataFields(id, metadata);
+    const details = await serviceDetails(chain, id, fields.services, previous);
 
     return {
+      agentId,
+      chainId,
       id,
       owner,
-      chain: client === ethClient ? 'ethereum' : 'base',
-      name: metadata.name || `Agent #${id}`,
-      description: metadata.description || '',
-      image: metadata.image || '',
-      active: metadata.active ?? true,
-      x402Support: metadata.x402Support ?? false,
-      services: metadata.services || [],
-      registeredBlock: mintInfo?.blockNumber || null,
-      txHash: mintInfo?.txHash || null,
+      chain: chain.key,
+      ...fields,
+      ...details,
+      registeredBlock: mintInfo?.blockNumber || previous?.registeredBlock || null,
+      txHash: mintInfo?.txHash || previous?.txHash || null,
+      ...carriedFields(previous),
+      uri,
+      previousUri,
+      metadataVersion,
+      metadataUpdatedAt: updateInfo || previous?.metadataUpdatedAt || null,
       rawMetadata: metadata,
+      compliance: validateRegistration(metadata),
+      registrationCheck: registrationCheck(chain, id, metadata),
+      fetch: source,
       syncedAt: new Date().toISOString()
     };
   } catch (err) {
-    return { id, error: err.message?.slice(0, 100), chain: 'unknown', syncedAt: new Date().toISOString() };
+    // A refetch that fails keeps what the last good fetch found, so a
+    // transient error doesn't blank the agent
+    const { error, retry, fetch, ...lastGood } = previous || {};
+    return {
+      ...lastGood,
+      agentId,
+      chainId,
+      id,
+      error: err.message?.slice(0, 100),
+      chain: chain.key,
+      ...carriedFields(previous),
+      retry: retryState(previous, errorCategory(err, stage)),
+      fetch: err instanceof FetchError ? { url: err.url, status: err.status, reason: err.reason } : null,
+      syncedAt: new Date().toISOString()
+    };
   }
 }
 
-async function syncAgents() {
-  console.log('🔄 Starting ERC-8004 sync (Ethereum + Base)...');
-  console.log(`   Registry: ${REGISTRY}`);
+/**
+ * Fetch queued agents in batches, writing each record as soon as it lands.
+ * Returns the records written.
+ */
+async function fetchQueue(queue, ctx) {
+  const written = [];
+  let reads = new Map();
+  for (let i = 0; i < queue.length; i += PARALLEL_FETCHES) {
+    if (i % READ_AHEAD === 0) reads = await readQueue(queue.slice(i, i + READ_AHEAD));
+    const batch = queue.slice(i, i + PARALLEL_FETCHES);
+    const results = await Promise.all(batch.map(({ id, mintInfo, chain, updateInfo }) => 
+      fetchAgent(chain, id, mintInfo, updateInfo, reads.get(formatAgentId(chain.chainId, id)))
+    ));
+    
+    for (const [j, agent] of results.entries()) {
+      // A probed ID (legacy or retried) that doesn't exist on this chain and
+      // was never seen in a transfer here
+      if (batch[j].probe && agent.retry?.category === 'not_found' && !agent.ownerHistory.length) {
+        store.remove(agent.chainId, agent.id);
+        ctx.existingIds.delete(agent.agentId);
+        continue;
+      }
+      
+      ctx.existingIds.add(agent.agentId);
+      ctx.knownIds.add(agent.agentId);
+      ctx.fetchedIds.add(agent.agentId);
+      
+      store.write(agent);
+      written.push(agent);
+    }
+    
+    const pct = Math.round((i + batch.length) / queue.length * 100);
+    process.stdout.write(`\r   Syncing: ${i + batch.length}/${queue.length} (${pct}%)`);
+    await new Promise(r => setTimeout(r, 150));
+  }
+  if (queue.length > 0) console.log('');
+  return written;
+}
+
+/**
+ * Refetch service details and domain checks that are missing or older than
+ * DETAILS_MAX_AGE_DAYS for agents this run didn't fetch anyway, stalest first
+ */
+async function refreshDetails(agentIds, ctx) {
+  const cutoff = new Date(Date.now() - DETAILS_MAX_AGE_DAYS * 86400 * 1000).toISOString();
+  const due = [];
+  for (const agentId of agentIds) {
+    if (ctx.fetchedIds.has(agentId)) continue;
+    try {
+      const { chainId, tokenId } = parseAgentId(agentId);
+      const agent = store.read(chainId, tokenId);
+      if (!agent || agent.removed || agent.error) continue;
+      const checked = SERVICE_DETAILS
+        .filter(d => agent.services?.some(s => s.name === d.service))
+        .map(d => agent[d.field]?.failedAt || agent[d.field]?.fetchedAt || '');
+      if (endpointOrigins(agent.services).length > 0) checked.push(agent.domainVerification?.checkedAt || '');
+      const checkedAt = checked.sort()[0];
+      if (checkedAt !== undefined && checkedAt < cutoff) {
+        due.push({ agent, checkedAt });
+      }
+    } catch {}
+  }
+  if (due.length === 0) return;
   
-  const forceRefresh = process.env.FORCE_REFRESH === 'true';
+  const batch = due.sort((a, b) => a.checkedAt.localeCompare(b.checkedAt)).slice(0, DETAILS_BATCH);
+  console.log(`🪪 Refreshing A2A cards, MCP tools and domain checks for ${batch.length} agents (${due.length} due)...`);
+  let fetched = 0;
+  for (let i = 0; i < batch.length; i += PARALLEL_FETCHES) {
+    await Promise.all(batch.slice(i, i + PARALLEL_FETCHES).map(async ({ agent }) => {
+      const details = await serviceDetails(getChain(agent.chainId), agent.id, agent.services, agent);
+      Object.assign(agent, details);
+      if (SERVICE_DETAILS.some(d => details[d.field] && !details[d.field].error)) fetched++;
+      store.write(agent);
+    }));
+  }
+  console.log(`   Fetched: ${fetched}/${batch.length}`);
+}
+
+function ensService(agent) {
+  return agent.services?.find(s => s.name === 'ENS' && typeof s.endpoint === 'string') || null;
+}
+
+/**
+ * Resolve owner ENS names and ENS services for agents whose last check is
+ * older than ENS_TTL_HOURS or was made for a previous owner or ENS service,
+ * stalest first.
+ * An agent whose lookups fail keeps what it had and stays due, behind agents
+ * not tried yet.
+ */
+async function resolveEns(agentIds) {
+  const ttlMs = ENS_TTL_HOURS * 3600 * 1000;
+  const cutoff = new Date(Date.now() - ttlMs).toISOString();
+  const due = [];
+  for (const agentId of agentIds) {
+    try {
+      const { chainId, tokenId } = parseAgentId(agentId);
+      const agent = store.read(chainId, tokenId);
+      if (!agent || agent.removed || agent.error || !agent.owner) continue;
+      const current = agent.ens?.owner === agent.owner &&
+        (agent.ens.service?.name ?? null) === (ensService(agent)?.endpoint ?? null);
+      const checkedAt = current ? agent.ens.checkedAt : '';
+      if (checkedAt < cutoff) {
+        due.push({ agent, lastTried: agent.ens?.failedAt || checkedAt });
+      }
+    } catch {}
+  }
+  if (due.length === 0) return;
   
-  const [ethBlock, baseBlock] = await Promise.all([
-    ethClient.getBlockNumber(),
-    baseClient.getBlockNumber()
-  ]);
+  const cache = existsSync(ENS_CACHE_FILE) ? JSON.parse(readFileSync(ENS_CACHE_FILE, 'utf8')) : {};
+  const ens = createEnsResolver(createEnsClient({ pool: pools.get('ethereum') }), { cache: pruneEnsCache(cache, ttlMs), ttlMs });
   
-  console.log(`   ETH block: ${ethBlock}`);
-  console.log(`   Base block: ${baseBlock}`);
+  const batch = due.sort((a, b) => a.lastTried.localeCompare(b.lastTried)).slice(0, ENS_BATCH);
+  console.log(`🏷️ Resolving ENS names for ${batch.length} agents (${due.length} due)...`);
+  let named = 0;
+  let failed = 0;
+  for (let i = 0; i < batch.length; i += PARALLEL_FETCHES) {
+    await Promise.all(batch.slice(i, i + PARALLEL_FETCHES).map(async ({ agent }) => {
+      const service = ensService(agent);
+      try {
+        const [ownerEns, address] = await Promise.all([
+          ens.lookupAddress(agent.owner),
+          service ? ens.resolveName(service.endpoint) : null
+        ]);
+        agent.ownerEns = ownerEns;
+        agent.ens = {
+          checkedAt: new Date().toISOString(),
+          owner: agent.owner,
+          service: service ? {
+            name: service.endpoint,
+            address,
+            matchesOwner: address ? address === agent.owner.toLowerCase() : null
+          } : null
+        };
+        if (ownerEns) named++;
+        store.write(agent);
+      } catch {
+        // Tried last, so agents not yet looked up go first next run
+        agent.ens = { ...agent.ens, failedAt: new Date().toISOString() };
+        store.write(agent);
+        failed++;
+      }
+    }));
+  }
+  writeFileSync(ENS_CACHE_FILE, JSON.stringify(cache, null, 2));
+  console.log(`   Owners with ENS names: ${named}/${batch.length}${failed ? `, ${failed} failed` : ''}`);
+}
 
-  const existingIds = new Set();
-  if (existsSync(AGENTS_DIR)) {
-    for (const file of readdirSync(AGENTS_DIR)) {
-      if (file.endsWith('.json')) {
-        existingIds.add(parseInt(file.replace('.json', '')));
+/**
+ * Scan one block range on all three registries and apply what it found.
+ * Returns the sub-ranges that couldn't be read, for the failed-range ledger.
+ * Every stage is idempotent, so a range can be rescanned safely.
+ */
+async function syncRange(chain, fromBlock, toBlock, ctx) {
+  const events = await getRegistryEvents(chain, fromBlock, toBlock);
+  
+  const { updated, burned } = applyTransfers(chain, events.transfers);
+  console.log(`\n   ${chain.name} mints: ${events.mints.size}, owner updates: ${updated} (${burned} burned)`);
+  for (const tokenId of events.transfers.keys()) {
+    ctx.existingIds.add(formatAgentId(chain.chainId, tokenId));
+  }
+  
+  // Every token seen in a transfer but not fetched yet gets fetched, which
+  // covers new mints as well as tokens minted before the scanned range
+  const queue = [];
+  for (const tokenId of events.transfers.keys()) {
+    if (!ctx.knownIds.has(formatAgentId(chain.chainId, tokenId))) {
+      queue.push({ id: tokenId, mintInfo: events.mints.get(tokenId) || null, chain });
+    }
+  }
+  
+  // Registrations edited in this range are refetched even if on file
+  let updatedCount = 0;
+  for (const [tokenId, tokenUpdates] of events.updates) {
+    const last = tokenUpdates[tokenUpdates.length - 1];
+    const updateInfo = { event: last.event, blockNumber: last.blockNumber, txHash: last.txHash };
+    const queued = queue.find(x => x.id === tokenId);
+    if (queued) {
+      queued.updateInfo = updateInfo;
+    } else {
+      queue.push({ id: tokenId, mintInfo: null, chain, updateInfo });
+      updatedCount++;
+    }
+  }
+  if (updatedCount > 0) {
+    console.log(`   Updated registrations: ${updatedCount}`);
+  }
+  
+  await fetchQueue(queue, ctx);
+  
+  const feedback = await getFeedbackEvents(chain, fromBlock, toBlock);
+  const reputation = applyFeedback(chain, feedback.feedback);
+  console.log(`   ${chain.name} reputation updates: ${reputation.updated} (${reputation.orphaned} for unknown agents)`);
+  
+  const validations = await getValidationEvents(chain, fromBlock, toBlock);
+  const validation = applyValidations(chain, validations.validations);
+  console.log(`   ${chain.name} validation updates: ${validation.updated} (${validation.orphaned} for unknown agents)`);
+  
+  return mergeRanges([...events.failed, ...feedback.failed, ...validations.failed]);
+}
+
+/**
+ * Undo what a set of reorged-out logs contributed to each agent's file: owner
+ * history entries, feedback and revocations, validation requests and
+ * responses. An agent whose mint was dropped is deleted; one whose burn was
+ * dropped is un-removed. Returns the tokens that need a refetch.
+ */
+function revertLogs(chain, entries, ctx) {
+  const byToken = new Map();
+  for (const entry of entries) {
+    if (!byToken.has(entry.tokenId)) byToken.set(entry.tokenId, []);
+    byToken.get(entry.tokenId).push(entry);
+  }
+  
+  const refetch = [];
+  for (const [tokenId, tokenEntries] of byToken) {
+    const agent = store.read(chain.chainId, tokenId);
+    if (!agent) continue;
+    
+    const agentId = formatAgentId(chain.chainId, tokenId);
+    const logIds = new Set(tokenEntries.map(e => `${e.txHash}:${e.logIndex}`));
+    const txHashes = new Set(tokenEntries.map(e => e.txHash));
+    
+    const history = agent.ownerHistory || [];
+    const dropped = history.filter(h => logIds.has(`${h.txHash}:${h.logIndex}`));
+    agent.ownerHistory = history.filter(h => !logIds.has(`${h.txHash}:${h.logIndex}`));
+    
+    if (dropped.some(h => h.from === ZERO_ADDRESS)) {
+      store.remove(chain.chainId, tokenId);
+      ctx.existingIds.delete(agentId);
+      ctx.knownIds.delete(agentId);
+      console.log(`   ⚠️ ${agentId} mint was reorged out, removed`);
+      continue;
+    }
+    
+    const last = agent.ownerHistory[agent.ownerHistory.length - 1];
+    if (last) agent.owner = last.to;
+    if (agent.removed && last && last.to !== ZERO_ADDRESS) {
+      delete agent.removed;
+      delete agent.removedAt;
+      refetch.push({ id: tokenId, mintInfo: null, chain });
+    }
+    
+    if (agent.feedback) {
+      agent.feedback = agent.feedback.filter(f => !txHashes.has(f.txHash));
+      for (const f of agent.feedback) {
+        if (f.revokedAt && txHashes.has(f.revokedAt.txHash)) {
+          f.revoked = false;
+          f.revokedAt = null;
+        }
       }
+      agent.reputation = summarizeReputation(agent.feedback);
     }
+    
+    if (agent.validations) {
+      agent.validations = agent.validations.filter(v => !txHashes.has((v.requestedAt || v.respondedAt)?.txHash));
+      for (const v of agent.validations) {
+        if (v.respondedAt && txHashes.has(v.respondedAt.txHash)) {
+          Object.assign(v, { response: null, responseUri: null, responseHash: null, tag: null, respondedAt: null });
+        }
+      }
+      agent.validation = {
+        ...summarizeValidation(agent.validations),
+        supportedTrust: agent.supportedTrust || []
+      };
+    }
+    
+    store.write(agent);
   }
-  console.log(`   Existing: ${existingIds.size}`);
+  
+  return refetch;
+}
 
-  const ethFromBlock = forceRefresh || !index.ethLastBlock
-    ? ETH_START_BLOCK 
-    : BigInt(index.ethLastBlock + 1);
+/**
+ * Re-scan the last reorgDepth blocks below the checkpoint and compare them by
+ * block hash with the logs recorded last time. Anything that vanished is
+ * reverted, then the range is re-applied so whatever replaced it lands.
+ * Returns the chunks of that re-apply that failed, for the caller to ledger.
+ */
+async function reconcileTail(chain, lastBlock, ctx) {
+  const fromBlock = Math.max(chain.deploymentBlock, lastBlock - chain.reorgDepth + 1);
+  const recorded = Array.from(recentLogs.get(chain.key)?.values() || [])
+    .filter(e => e.blockNumber >= fromBlock && e.blockNumber <= lastBlock);
   
-  const baseFromBlock = forceRefresh || !index.baseLastBlock
-    ? BASE_START_BLOCK 
-    : BigInt(index.baseLastBlock + 1);
+  // The same events the forward scans decode, so the comparison covers
+  // exactly the logs that were recorded
+  const scans = [
+    { address: chain.registries.identity, events: [TRANSFER_EVENT, ...UPDATE_EVENTS] },
+    { address: chain.registries.reputation, events: FEEDBACK_EVENTS },
+    { address: chain.registries.validation, events: VALIDATION_EVENTS }
+  ];
+  const current = new Set();
+  const failed = [];
+  for (const filter of scans) {
+    failed.push(...await scanLogs(chain, {
+      ...filter,
+      remember: false,
+      onLogs: logs => {
+        for (const log of logs) current.add(logKey(log));
+        return current.size;
+      }
+    }, fromBlock, lastBlock, `${chain.name} reorg check`));
+  }
+  console.log('');
   
-  const [ethMints, baseMints] = await Promise.all([
-    getMintEvents(ethClient, ethFromBlock, ethBlock, 'Ethereum'),
-    getMintEvents(baseClient, baseFromBlock, baseBlock, 'Base')
-  ]);
+  if (failed.length > 0) {
+    console.log(`   ⚠️ ${chain.name} reorg check incomplete, will retry next run`);
+    return [];
+  }
+  
+  const recordedKeys = new Set(recorded.map(logKey));
+  const gone = recorded.filter(e => !current.has(logKey(e)));
+  const added = [...current].filter(key => !recordedKeys.has(key));
+  if (gone.length === 0 && added.length === 0) return [];
+  
+  console.log(`🔀 ${chain.name} reorg: ${gone.length} log(s) dropped, ${added.length} new since ${fromBlock}`);
+  const seen = recentLogs.get(chain.key);
+  for (const entry of gone) seen.delete(logKey(entry));
   
-  console.log(`\n   ETH mints: ${ethMints.size}`);
-  console.log(`   Base mints: ${baseMints.size}`);
-  console.log(`   Total new: ${ethMints.size + baseMints.size}`);
+  const refetch = revertLogs(chain, gone, ctx);
+  const reapplyFailed = await syncRange(chain, fromBlock, lastBlock, ctx);
+  await fetchQueue(refetch, ctx);
+  return reapplyFailed;
+}
 
-  const idsToSync = [];
-  for (const [tokenId, mintInfo] of [...ethMints, ...baseMints]) {
-    if (forceRefresh || !existingIds.has(tokenId)) {
-      const chain = mintInfo === ethMints.get(tokenId) ? 'ethereum' : 'base';
-      idsToSync.push({ id: tokenId, mintInfo, chain });
-    }
+function saveCheckpoint(chain, lastBlock, failedRanges) {
+  // Only logs that a later reorg check could still cover need keeping
+  const tail = Array.from(recentLogs.get(chain.key)?.values() || [])
+    .filter(e => e.blockNumber > lastBlock - chain.reorgDepth && e.blockNumber <= lastBlock)
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  index.chains = { ...index.chains, [chain.chainId]: { lastBlock, failedRanges, recentLogs: tail } };
+  writeFileSync(INDEX_FILE, JSON.stringify(index, null, 2));
+}
+
+/**
+ * Bring one chain up to head minus its confirmation depth. The blocks just
+ * below the checkpoint are re-checked for reorgs, ranges ledgered as failed by
+ * earlier runs are retried, then the chain is scanned from its checkpoint in
+ * windows of CHECKPOINT_CHUNKS chunks. The checkpoint and ledger are saved after every
+ * window, so an interrupted run resumes where it stopped and a failed chunk
+ * is never skipped silently.
+ */
+async function syncChain(chain, head, ctx) {
+  const safeHead = Number(head) - chain.confirmations;
+  console.log(`   ${chain.name} block: ${head}, scanning to ${safeHead} (registry ${chain.registries.identity})`);
+  
+  let lastBlock = ctx.forceRefresh ? 0 : lastScannedBlock(chain);
+  let failedRanges = ctx.forceRefresh ? [] : (index.chains?.[chain.chainId]?.failedRanges || []);
+  const recorded = ctx.forceRefresh ? [] : (index.chains?.[chain.chainId]?.recentLogs || []);
+  // Entries without a token ID are from runs that recorded logs they could
+  // not decode, and can't be reverted
+  recentLogs.set(chain.key, new Map(recorded.filter(e => Number.isInteger(e.tokenId)).map(e => [logKey(e), e])));
+  
+  if (lastBlock) {
+    const failed = await reconcileTail(chain, lastBlock, ctx);
+    failedRanges = failedRanges.concat(failed.map(f => ({
+      ...f,
+      attempts: 1,
+      failedAt: new Date().toISOString()
+    })));
+    saveCheckpoint(chain, lastBlock, failedRanges);
+  }
+  
+  if (failedRanges.length > 0) {
+    console.log(`🔁 Retrying ${failedRanges.length} failed ${chain.name} range(s)...`);
   }
+  for (const range of [...failedRanges]) {
+    const failed = await syncRange(chain, range.fromBlock, range.toBlock, ctx);
+    failedRanges = failedRanges.filter(r => r !== range).concat(failed.map(f => ({
+      ...f,
+      attempts: (range.attempts || 1) + 1,
+      failedAt: new Date().toISOString()
+    })));
+    saveCheckpoint(chain, lastBlock, failedRanges);
+  }
+  
+  const end = safeHead;
+  const windowSize = chain.blockChunk * CHECKPOINT_CHUNKS;
+  let from = lastBlock ? lastBlock + 1 : chain.deploymentBlock;
   
-  console.log(`   Syncing: ${idsToSync.length}`);
+  while (from <= end) {
+    const to = Math.min(from + windowSize - 1, end);
+    const failed = await syncRange(chain, from, to, ctx);
+    failedRanges = failedRanges.concat(failed.map(f => ({
+      ...f,
+      attempts: 1,
+      failedAt: new Date().toISOString()
+    })));
+    lastBlock = to;
+    saveCheckpoint(chain, lastBlock, failedRanges);
+    from = to + 1;
+  }
+  
+  if (failedRanges.length > 0) {
+    console.log(`   ⚠️ ${chain.name}: ${failedRanges.length} failed range(s) left for the next run`);
+  }
+}
 
-  const stats = { 
-    ethereum: { active: 0, inactive: 0, errors: 0 },
-    base: { active: 0, inactive: 0, errors: 0 }
+/**
+ * Per-chain stats over every agent file, compliance levels, issue counts and
+ * back-reference statuses across all of them, and the retry queue: one entry
+ * per error record with its category, attempts and next retry time. Error
+ * records from before the retry queue are due immediately; records fetched
+ * before the validator, the normalizer or the back-reference check existed
+ * get them filled in here.
+ */
+function summarizeAgents(agentIds) {
+  const stats = Object.fromEntries(CHAINS.map(c => [
+    c.key,
+    { active: 0, inactive: 0, removed: 0, errors: 0, x402: 0, withServices: 0, probed: 0, live: 0, domainVerified: 0, ownerEns: 0, ensMismatched: 0, thumbnails: 0, brokenImages: 0 }
+  ]));
+  const compliance = {
+    levels: Object.fromEntries(COMPLIANCE_LEVELS.map(level => [level, 0])),
+    issues: {},
+    backReferences: Object.fromEntries(BACKREF_STATUSES.map(status => [status, 0]))
   };
+  const retryQueue = [];
 
-  for (let i = 0; i < idsToSync.length; i += PARALLEL_FETCHES) {
-    const batch = idsToSync.slice(i, i + PARALLEL_FETCHES);
-    const client = batch[0].chain === 'ethereum' ? ethClient : baseClient;
-    const results = await Promise.all(batch.map(({ id, mintInfo, chain }) => 
-      fetchAgent(client, id, mintInfo)
-    ));
-    
-    for (const agent of results) {
-      const chainStats = agent.chain === 'ethereum' ? stats.ethereum : stats.base;
-      if (agent.error) {
+  for (const agentId of agentIds) {
+    try {
+      const [, chainId, tokenId] = agentId.split(':');
+      const agent = store.read(chainId, tokenId);
+      const chainStats = stats[agent.chain];
+      if (agent.removed) {
+        chainStats.removed++;
+      } else if (agent.error) {
         chainStats.errors++;
+        retryQueue.push({
+          agentId,
+          category: agent.retry?.category || 'unknown',
+          attempts: agent.retry?.attempts || 0,
+          nextRetryAt: agent.retry?.nextRetryAt || agent.syncedAt || ''
+        });
       } else {
         if (agent.active) chainStats.active++;
         else chainStats.inactive++;
-        if (agent.x402Support) (agent.chain === 'ethereum' ? stats.ethereum : stats.base).x402++;
-        if (agent.services?.length > 0) (agent.chain === 'ethereum' ? stats.ethereum : stats.base).withServices++;
-        existingIds.add(agent.id);
+        if (backfillRecord(agent, getChain(agent.chain))) store.write(agent);
+        if (agent.x402Support) chainStats.x402++;
+        if (agent.services?.length > 0) chainStats.withServices++;
+        if (agent.domainVerification?.verified.length > 0) chainStats.domainVerified++;
+        if (agent.ownerEns) chainStats.ownerEns++;
+        if (agent.ens?.service?.matchesOwner === false) chainStats.ensMismatched++;
+        if (agent.imageCheck?.thumbnail) chainStats.thumbnails++;
+        if (agent.imageCheck?.status === 'broken') chainStats.brokenImages++;
+        if (agent.health) {
+          chainStats.probed++;
+          if (agent.health.live) chainStats.live++;
+        }
+        if (agent.compliance) {
+          compliance.levels[agent.compliance.level]++;
+          for (const { code } of agent.compliance.issues) {
+            compliance.issues[code] = (compliance.issues[code] || 0) + 1;
+          }
+        }
+        if (agent.registrationCheck) compliance.backReferences[agent.registrationCheck.status]++;
       }
-      
-      const agentFile = join(AGENTS_DIR, `${agent.id}.json`);
-      writeFileSync(agentFile, JSON.stringify(agent, null, 2));
-    }
-    
-    const pct = Math.round((i + batch.length) / idsToSync.length * 100);
-    process.stdout.write(`\r   Syncing: ${i + batch.length}/${idsToSync.length} (${pct}%)`);
-    await new Promise(r => setTimeout(r, 150));
+    } catch {}
   }
 
-  for (const id of existingIds) {
-    if (!idsToSync.find(x => x.id === id)) {
-      try {
-        const agent = JSON.parse(readFileSync(join(AGENTS_DIR, `${id}.json`), 'utf8'));
-        if (!agent.error) {
-          const chainStats = agent.chain === 'ethereum' ? stats.ethereum : stats.base;
-          if (agent.active) chainStats.active++;
-          else chainStats.inactive++;
-          if (agent.x402Support) chainStats.x402++;
-          if (agent.services?.length > 0) chainStats.withServices++;
+  retryQueue.sort((a, b) => a.nextRetryAt.localeCompare(b.nextRetryAt));
+  return { stats, compliance, retryQueue };
+}
+
+/**
+ * Hand every agent this run wrote or deleted to each sink, SINK_BATCH
+ * records at a time, then move the sink's chain checkpoints up to ours. A
+ * sink whose checkpoint for a chain is behind where this run started (it
+ * failed or wasn't picked last time) gets every agent on file for that chain
+ * instead, and loses any it has that are gone; its content hashes keep the
+ * writes down to what changed. A failing sink is reported and fails the
+ * run, but doesn't stop the others; the JSON store already has everything.
+ */
+async function writeSinks(lastSync, startBlocks) {
+  const checkpoints = Object.fromEntries(CHAINS.map(chain => [chain.chainId, lastScannedBlock(chain)]));
+  for (const sink of sinks) {
+    console.log(`💾 Writing to ${sink.name}...`);
+    const totals = { inserted: 0, updated: 0, unchanged: 0, deleted: 0 };
+    try {
+      const ids = new Set(store.written);
+      const deleted = new Set(store.deleted);
+      const synced = await sink.checkpoints();
+      for (const chain of CHAINS) {
+        const from = startBlocks[chain.chainId];
+        if (!from || (synced[chain.chainId] ?? 0) >= from) continue;
+        const onFile = store.list([chain.chainId]);
+        console.log(`   Behind on ${chain.name} (block ${synced[chain.chainId] ?? 'none'}, data/ at ${from}): catching up on ${onFile.length} agents`);
+        onFile.forEach(id => ids.add(id));
+        const kept = new Set(onFile);
+        for (const id of await sink.agentIds(chain.chainId)) {
+          if (!kept.has(id)) deleted.add(id);
         }
-      } catch {}
+      }
+
+      const queue = [...ids];
+      for (let i = 0; i < Math.max(queue.length, 1); i += SINK_BATCH) {
+        const agents = queue.slice(i, i + SINK_BATCH)
+          .map(agentId => {
+            const { chainId, tokenId } = parseAgentId(agentId);
+            return store.read(chainId, tokenId);
+          })
+          .filter(Boolean);
+        const result = await sink.write({
+          agents,
+          deleted: i === 0 ? [...deleted] : [],
+          lastSync,
+          checkpoints: i + SINK_BATCH >= queue.length ? checkpoints : {}
+        });
+        for (const key of Object.keys(totals)) totals[key] += result[key];
+      }
+      console.log(`   Inserted: ${totals.inserted}, updated: ${totals.updated}, unchanged: ${totals.unchanged}, deleted: ${totals.deleted}`);
+    } catch (err) {
+      console.error(`   ${sink.name} failed: ${err.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+async function syncAgents() {
+  console.log(`🔄 Starting ERC-8004 sync (${SYNC_CHAINS.map(c => c.name).join(' + ')})...`);
+  
+  const forceRefresh = process.env.FORCE_REFRESH === 'true';
+  
+  const heads = await Promise.all(SYNC_CHAINS.map(chain => rpc(chain, client => client.getBlockNumber())));
+  const startBlocks = Object.fromEntries(CHAINS.map(chain => [chain.chainId, lastScannedBlock(chain)]));
+
+  const existingIds = new Set(store.list(CHAINS.map(c => c.chainId)));
+  console.log(`   Existing: ${existingIds.size}`);
+  
+  // knownIds holds agents with a fetched record (transfer stubs written by
+  // applyTransfers don't count); a force refresh starts it empty
+  const ctx = {
+    forceRefresh,
+    existingIds,
+    knownIds: forceRefresh ? new Set() : new Set(existingIds),
+    fetchedIds: new Set()
+  };
+  
+  // Read before scanning so agents fixed by this run's own fetches are skipped
+  const pendingRetries = index.retryQueue || summarizeAgents(existingIds).retryQueue;
+  
+  await Promise.all(SYNC_CHAINS.map((chain, i) => syncChain(chain, heads[i], ctx)));
+
+  // Error records from before chain-scoped IDs didn't say which chain they
+  // came from, so look them up on every chain and keep whichever exists
+  const legacyUnresolved = index.legacyUnresolved || [];
+  const probes = [];
+  for (const id of legacyUnresolved) {
+    for (const chain of SYNC_CHAINS) {
+      if (!existingIds.has(formatAgentId(chain.chainId, id))) {
+        probes.push({ id, mintInfo: null, chain, probe: true });
+      }
     }
   }
+  if (legacyUnresolved.length > 0) {
+    console.log(`   Legacy unresolved: ${legacyUnresolved.length}`);
+    await fetchQueue(probes, ctx);
+  }
 
-  const allIds = Array.from(existingIds).sort((a, b) => b - a);
+  // Failed agents whose backoff has run out, most overdue first
+  const retryCutoff = new Date().toISOString();
+  const due = pendingRetries
+    .filter(e => e.nextRetryAt <= retryCutoff && !ctx.fetchedIds.has(e.agentId))
+    .map(e => ({ ...e, ...parseAgentId(e.agentId) }))
+    .filter(e => SYNC_CHAINS.some(c => c.chainId === e.chainId))
+    .sort((a, b) => a.nextRetryAt.localeCompare(b.nextRetryAt))
+    .slice(0, RETRY_BATCH);
+  if (due.length > 0) {
+    console.log(`🔁 Retrying ${due.length} failed agents...`);
+    const retried = await fetchQueue(due.map(e => ({
+      id: Number(e.tokenId),
+      mintInfo: null,
+      chain: getChain(e.chainId),
+      probe: true
+    })), ctx);
+    console.log(`   Recovered: ${retried.filter(a => !a.error).length}/${due.length}`);
+  }
+
+  await refreshDetails(existingIds, ctx);
+  await resolveEns(existingIds);
+
+  const { stats, compliance, retryQueue } = summarizeAgents(existingIds);
+  const now = new Date().toISOString();
+  const retryBacklog = { total: retryQueue.length, due: 0, byCategory: {} };
+  for (const entry of retryQueue) {
+    if (entry.nextRetryAt <= now) retryBacklog.due++;
+    retryBacklog.byCategory[entry.category] = (retryBacklog.byCategory[entry.category] || 0) + 1;
+  }
+
+  const allIds = Array.from(existingIds).sort(compareAgentIds);
   
   index = {
+    layoutVersion: LAYOUT_VERSION,
     lastSync: new Date().toISOString(),
-    ethLastBlock: Number(ethBlock),
-    baseLastBlock: Number(baseBlock),
+    chains: index.chains,
     totalAgents: allIds.length,
     agents: allIds,
     stats: {
-      ethereum: { ...stats.ethereum },
-      base: { ...stats.base },
-      totalErrors: stats.ethereum.errors + stats.base.errors
-    }
+      ...stats,
+      totalErrors: Object.values(stats).reduce((sum, s) => sum + s.errors, 0),
+      retryBacklog,
+      compliance
+    },
+    retryQueue
   };
 
   writeFileSync(INDEX_FILE, JSON.stringify(index, null, 2));
+  await writeSinks(index.lastSync, startBlocks);
   
   console.log('\n✅ Sync complete!');
   console.log(`   Total: ${allIds.length}`);
-  console.log(`   Ethereum: ${stats.ethereum.active}/${stats.ethereum.active + stats.ethereum.inactive} | x402: ${stats.ethereum.x402}`);
-  console.log(`   Base: ${stats.base.active}/${stats.base.active + stats.base.inactive} | x402: ${stats.base.x402}`);
+  for (const chain of CHAINS) {
+    const s = stats[chain.key];
+    console.log(`   ${chain.name}: ${s.active}/${s.active + s.inactive} | x402: ${s.x402}`);
+  }
+  console.log(`   Retry backlog: ${retryBacklog.total} (${retryBacklog.due} due)`);
+  for (const chain of SYNC_CHAINS) {
+    console.log(`   ${chain.name} RPCs:`);
+    for (const p of pools.get(chain.key).stats()) {
+      const latency = p.avgLatencyMs === null ? '-' : `${p.avgLatencyMs}ms`;
+      const budget = p.budget === null ? '' : `/${p.budget}`;
+      console.log(`     ${p.host}: ${p.requests}${budget} requests, ${p.errors} errors (${p.rateLimited} rate limited), ${latency} avg, circuit ${p.state}${p.circuitOpens ? ` (opened ${p.circuitOpens}x)` : ''}`);
+    }
+  }
+  if (tokenReads.multicalls + tokenReads.direct > 0) {
+    console.log(`   Token reads: ${tokenReads.multicalls} multicalls (${tokenReads.tokens} tokens) + ${tokenReads.direct} direct eth_calls`);
+  }
 }
 
 syncAgents().catch(err => {
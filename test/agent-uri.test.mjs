@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeDataURI, resolveAgentURI, UnsupportedURIError, IPFS_GATEWAYS, ARWEAVE_GATEWAYS } from '../lib/agent-uri.js';
+
+const CID = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi';
+const JSON_TEXT = '{"name":"Agent ✓","description":"100% up"}';
+
+test('decodeDataURI reads base64 and percent-encoded payloads', () => {
+  const base64 = Buffer.from(JSON_TEXT).toString('base64');
+  assert.equal(decodeDataURI(`data:application/json;base64,${base64}`), JSON_TEXT);
+  assert.equal(decodeDataURI(`data:application/json;charset=utf-8;base64,${base64}`), JSON_TEXT);
+  assert.equal(decodeDataURI(`data:;base64,${encodeURIComponent(base64)}`), JSON_TEXT);
+  assert.equal(decodeDataURI(`data:application/json,${encodeURIComponent(JSON_TEXT)}`), JSON_TEXT);
+  assert.equal(decodeDataURI(`data:text/plain;charset=utf-8,${encodeURIComponent(JSON_TEXT)}`), JSON_TEXT);
+});
+
+test('decodeDataURI honours the charset and leaves stray % signs alone', () => {
+  const latin1 = Buffer.from('{"name":"caf\xe9"}', 'latin1').toString('base64');
+  assert.equal(decodeDataURI(`data:application/json;charset=iso-8859-1;base64,${latin1}`), '{"name":"café"}');
+  assert.equal(decodeDataURI('data:application/json,{"uptime":"100%"}'), '{"uptime":"100%"}');
+  assert.throws(() => decodeDataURI('data:application/json;base64'), SyntaxError);
+});
+
+test('resolveAgentURI turns inline registrations into JSON text', () => {
+  assert.deepEqual(resolveAgentURI(`  ${JSON_TEXT}  `), { json: JSON_TEXT });
+  const base64 = Buffer.from(JSON_TEXT).toString('base64');
+  assert.deepEqual(resolveAgentURI(`data:application/json;base64,${base64}`), { json: JSON_TEXT });
+});
+
+test('resolveAgentURI maps ipfs, ipns, ar and bare CIDs onto gateways', () => {
+  assert.deepEqual(resolveAgentURI(`ipfs://${CID}/agent.json`).urls, IPFS_GATEWAYS.map(gw => `${gw}/ipfs/${CID}/agent.json`));
+  assert.deepEqual(resolveAgentURI(`ipfs://ipfs/${CID}`).urls, IPFS_GATEWAYS.map(gw => `${gw}/ipfs/${CID}`));
+  assert.deepEqual(resolveAgentURI('ipns://agent.eth').urls, IPFS_GATEWAYS.map(gw => `${gw}/ipns/agent.eth`));
+  assert.deepEqual(resolveAgentURI('ar://abc123_-XYZ').urls, ARWEAVE_GATEWAYS.map(gw => `${gw}/abc123_-XYZ`));
+  assert.deepEqual(resolveAgentURI(CID).urls, IPFS_GATEWAYS.map(gw => `${gw}/ipfs/${CID}`));
+});
+
+test('resolveAgentURI tries other gateways after one named in an http URL', () => {
+  const pathStyle = `https://my.gateway.io/ipfs/${CID}/a.json`;
+  assert.deepEqual(resolveAgentURI(pathStyle).urls, [pathStyle, ...IPFS_GATEWAYS.map(gw => `${gw}/ipfs/${CID}/a.json`)]);
+
+  const subdomain = `https://${CID}.ipfs.dweb.link/a.json`;
+  assert.deepEqual(resolveAgentURI(subdomain).urls, [subdomain, ...IPFS_GATEWAYS.map(gw => `${gw}/ipfs/${CID}/a.json`)]);
+
+  assert.deepEqual(resolveAgentURI('https://example.com/agent.json').urls, ['https://example.com/agent.json']);
+});
+
+test('resolveAgentURI refuses other schemes', () => {
+  for (const uri of ['ftp://example.com/a.json', 'file:///etc/passwd', 'not a uri']) {
+    assert.throws(() => resolveAgentURI(uri), UnsupportedURIError, uri);
+  }
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { verifyDomains, endpointOrigins, WELL_KNOWN_PATH } from '../lib/domains.js';
+
+const REGISTRY = '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432';
+const target = { chainId: 8453, registry: REGISTRY, tokenId: 500 };
+
+// A stub origin serving `file` (an object, a string, or null for a 404) at
+// the well-known path, counting requests
+async function origin(t, file) {
+  const hits = { count: 0 };
+  const server = createServer((req, res) => {
+    hits.count++;
+    if (req.url !== WELL_KNOWN_PATH || file === null) {
+      res.statusCode = 404;
+      return res.end();
+    }
+    res.setHeader('Content-Type', 'application/json');
+    res.end(typeof file === 'string' ? file : JSON.stringify(file));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}`, hits };
+}
+
+test('a well-known file naming the agent verifies its domain', async t => {
+  const site = await origin(t, { registrations: [{ agentId: 500, agentRegistry: `eip155:8453:${REGISTRY}` }] });
+  const services = [{ name: 'web', endpoint: `${site.url}/` }, { name: 'MCP', endpoint: `${site.url}/mcp` }];
+
+  const result = await verifyDomains(services, target, { allowPrivate: true });
+  assert.deepEqual(result.verified, [new URL(site.url).host]);
+  assert.equal(result.domains.length, 1);
+  assert.equal(result.domains[0].status, 'verified');
+  assert.equal(site.hits.count, 1);
+});
+
+test('a file naming other agents is mismatched, a 404 or non-JSON missing', async t => {
+  const other = await origin(t, { registrations: [{ agentId: 501, agentRegistry: `eip155:8453:${REGISTRY}` }] });
+  const none = await origin(t, null);
+  const garbage = await origin(t, '<html>');
+  const services = [other, none, garbage].map(site => ({ name: 'web', endpoint: site.url }));
+
+  const result = await verifyDomains(services, target, { allowPrivate: true });
+  assert.deepEqual(result.verified, []);
+  assert.deepEqual(result.domains.map(d => [d.status, d.error]), [['mismatched', null], ['missing', 'HTTP 404'], ['missing', 'Not JSON']]);
+});
+
+test('a failed fetch is unreachable, and private origins are refused by default', async t => {
+  const closed = createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const gone = `http://127.0.0.1:${closed.address().port}`;
+  await new Promise(resolve => closed.close(resolve));
+
+  const result = await verifyDomains([{ name: 'web', endpoint: gone }], target, { allowPrivate: true });
+  assert.equal(result.domains[0].status, 'unreachable');
+  assert.ok(result.domains[0].error);
+
+  const site = await origin(t, { registrations: [{ agentId: 500, agentRegistry: `eip155:8453:${REGISTRY}` }] });
+  const blocked = await verifyDomains([{ name: 'web', endpoint: site.url }], target);
+  assert.equal(blocked.domains[0].status, 'unreachable');
+  assert.equal(site.hits.count, 0);
+});
+
+test('agents sharing an origin share one fetch through the cache', async t => {
+  const site = await origin(t, { registrations: [{ agentId: 500, agentRegistry: `eip155:8453:${REGISTRY}` }] });
+  const cache = new Map();
+  const services = [{ name: 'web', endpoint: site.url }];
+
+  const mine = await verifyDomains(services, target, { cache, allowPrivate: true });
+  const theirs = await verifyDomains(services, { ...target, tokenId: 501 }, { cache, allowPrivate: true });
+  assert.equal(mine.domains[0].status, 'verified');
+  assert.equal(theirs.domains[0].status, 'mismatched');
+  assert.equal(site.hits.count, 1);
+});
+
+test('only http(s) endpoints count, and none means nothing to check', async () => {
+  assert.deepEqual(endpointOrigins([
+    { name: 'ENS', endpoint: 'agent.eth' },
+    { name: 'web', endpoint: 'https://a.example/x' },
+    { name: 'A2A', endpoint: 'https://a.example/y' },
+    { name: 'MCP', endpoint: 'https://exa mple.com/' }
+  ]), ['https://a.example']);
+  assert.equal(await verifyDomains([{ name: 'email', endpoint: 'me@example.com' }], target), null);
+});
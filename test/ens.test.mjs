@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnsResolver, pruneEnsCache, isEnsName, normalizeEnsName } from '../lib/ens.js';
+
+const ALICE = '0x00000000000000000000000000000000000a11ce';
+const MALLORY = '0x000000000000000000000000000000000000bad0';
+
+// A stand-in for createEnsClient: reverse and forward records from maps,
+// counting lookups
+function fakeClient({ names = {}, addresses = {} } = {}) {
+  const calls = { getEnsName: 0, getEnsAddress: 0 };
+  return {
+    calls,
+    async getEnsName({ address }) {
+      calls.getEnsName++;
+      return names[address] ?? null;
+    },
+    async getEnsAddress({ name }) {
+      calls.getEnsAddress++;
+      if (name === 'broken.eth') throw new Error('RPC down');
+      return addresses[name] ?? null;
+    }
+  };
+}
+
+test('a primary name is kept only if it resolves back to the owner', async () => {
+  const client = fakeClient({
+    names: { [ALICE]: 'Alice.eth', [MALLORY]: 'alice.eth' },
+    addresses: { 'alice.eth': ALICE.toUpperCase().replace('0X', '0x') }
+  });
+  const ens = createEnsResolver(client);
+
+  assert.equal(await ens.lookupAddress(ALICE.toUpperCase().replace('0X', '0x')), 'alice.eth');
+  // Mallory's reverse record claims alice.eth, which points elsewhere
+  assert.equal(await ens.lookupAddress(MALLORY), null);
+  assert.equal(await ens.resolveName('alice.eth'), ALICE);
+  assert.equal(client.calls.getEnsAddress, 1);
+});
+
+test('answers are cached for the TTL, "none" included, failures not', async () => {
+  const client = fakeClient({ addresses: { 'agent.eth': ALICE } });
+  const cache = {};
+  const ens = createEnsResolver(client, { cache, ttlMs: 60 * 1000 });
+
+  assert.deepEqual(await Promise.all([ens.resolveName('agent.eth'), ens.resolveName('Agent.eth')]), [ALICE, ALICE]);
+  assert.equal(await ens.resolveName('nobody.eth'), null);
+  await ens.resolveName('nobody.eth');
+  assert.equal(client.calls.getEnsAddress, 2);
+  assert.equal(cache['name:agent.eth'].value, ALICE);
+  assert.equal(cache['name:nobody.eth'].value, null);
+
+  await assert.rejects(ens.resolveName('broken.eth'), /RPC down/);
+  assert.equal('name:broken.eth' in cache, false);
+
+  // A later run with the same cache reuses fresh answers and redoes stale ones
+  const next = fakeClient({ addresses: { 'agent.eth': MALLORY } });
+  cache['name:nobody.eth'].at = new Date(Date.now() - 2 * 60 * 1000).toISOString();
+  const again = createEnsResolver(next, { cache, ttlMs: 60 * 1000 });
+  assert.equal(await again.resolveName('agent.eth'), ALICE);
+  assert.equal(await again.resolveName('nobody.eth'), null);
+  assert.equal(next.calls.getEnsAddress, 1);
+});
+
+test('names that are not ENS names are never looked up', async () => {
+  const client = fakeClient();
+  const ens = createEnsResolver(client);
+  for (const name of ['', 'alice', 'alice.com', 'https://alice.eth', 'a b.eth']) {
+    assert.equal(isEnsName(name), false, name);
+    assert.equal(await ens.resolveName(name), null, name);
+  }
+  assert.equal(normalizeEnsName(' Sub.Alice.ETH '), 'sub.alice.eth');
+  assert.equal(client.calls.getEnsAddress, 0);
+});
+
+test('pruneEnsCache drops entries past their age', () => {
+  const now = new Date().toISOString();
+  const old = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+  const cache = { 'name:a.eth': { value: null, at: now }, 'name:b.eth': { value: null, at: old }, junk: null };
+  assert.deepEqual(Object.keys(pruneEnsCache(cache, 60 * 1000)), ['name:a.eth']);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { safeFetch, isPrivateAddress } from '../lib/fetcher.js';
+
+test('isPrivateAddress sees through IPv4 wrapped in IPv6', () => {
+  for (const ip of ['::ffff:7f00:1', '::ffff:127.0.0.1', '::ffff:0:a00:1', '::7f00:1', '::192.168.0.1', '64:ff9b::a9fe:a9fe', '2002:7f00:1::', '::1', 'fd00::1', 'fe80::1%eth0']) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['::ffff:808:808', '64:ff9b::808:808', '2002:808:808::', '2606:4700::1111', '8.8.8.8']) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test('safeFetch refuses a loopback stub behind a hex IPv4-mapped literal', async t => {
+  const server = createServer((req, res) => res.end('{"secret":1}'));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const { port } = server.address();
+
+  // Node normalizes [::ffff:127.0.0.1] to [::ffff:7f00:1]
+  for (const host of ['[::ffff:7f00:1]', '[::ffff:127.0.0.1]', '127.0.0.1']) {
+    await assert.rejects(safeFetch(`http://${host}:${port}/`), { name: 'FetchError', reason: 'blocked_address' }, host);
+  }
+});
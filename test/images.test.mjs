@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { resolveImage, imageHost, processImage, THUMBNAIL_SIZE } from '../lib/images.js';
+
+test('malformed image URLs are unsupported instead of throwing', async () => {
+  for (const image of ['https://exa mple.com/a.png', 'https://', 'http://[::1']) {
+    assert.equal(resolveImage(image).status, 'unsupported', image);
+    assert.equal(imageHost(image), 'inline', image);
+    assert.equal((await processImage(image)).status, 'unsupported', image);
+  }
+});
+
+test('resolveImage sorts fetchable, placeholder and unusable images', () => {
+  assert.equal(resolveImage(''), null);
+  assert.deepEqual(resolveImage('https://CDN.example.io:8080/a.png'), { urls: ['https://CDN.example.io:8080/a.png'], host: 'cdn.example.io:8080' });
+  assert.equal(resolveImage('ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi/a.png').host, 'ipfs.io');
+  assert.equal(resolveImage('https://via.placeholder.com/150').status, 'placeholder');
+  assert.equal(resolveImage('./avatar.png').status, 'unsupported');
+  assert.equal(resolveImage('data:text/plain,hello').status, 'unsupported');
+  assert.equal(imageHost('data:image/png;base64,AAAA'), 'inline');
+});
+
+test('an inline PNG is rendered as a content-hashed WebP thumbnail', async () => {
+  const png = await sharp({ create: { width: 8, height: 4, channels: 3, background: '#336699' } }).png().toBuffer();
+  const result = await processImage(`data:image/png;base64,${png.toString('base64')}`);
+  assert.equal(result.status, 'ok');
+  assert.equal(result.format, 'png');
+  assert.match(result.file, /^[0-9a-f]{16}\.webp$/);
+  const meta = await sharp(result.thumbnail).metadata();
+  assert.deepEqual([meta.format, meta.width, meta.height], ['webp', THUMBNAIL_SIZE, THUMBNAIL_SIZE]);
+
+  const broken = await processImage('data:image/png;base64,bm90IGFuIGltYWdl');
+  assert.equal(broken.status, 'broken');
+  assert.equal(broken.reason, 'not_image');
+});
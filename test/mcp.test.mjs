@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { introspectMCP, MCPError } from '../lib/mcp.js';
+
+// An HTTP+SSE-only server: GET /sse opens the stream and names the message
+// URL, whose POSTs are answered on the stream
+function legacyServer() {
+  const streams = new Map();
+  let nextSession = 1;
+  const results = {
+    initialize: { protocolVersion: '2024-11-05', serverInfo: { name: 'legacy', version: '1.0.0' }, capabilities: { tools: {} } },
+    'tools/list': { tools: [{ name: 'echo', description: 'Echo back', inputSchema: { type: 'object' } }] }
+  };
+
+  return createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/sse' && req.method === 'GET') {
+      const session = String(nextSession++);
+      streams.set(session, res);
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      return res.write(`event: endpoint\ndata: /messages?session=${session}\n\n`);
+    }
+    if (url.pathname === '/messages' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const message = JSON.parse(body);
+        res.statusCode = 202;
+        res.end('Accepted');
+        if (message.id === undefined) return;
+        const response = results[message.method]
+          ? { jsonrpc: '2.0', id: message.id, result: results[message.method] }
+          : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: 'Method not found' } };
+        streams.get(url.searchParams.get('session')).write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+      });
+      return;
+    }
+    res.statusCode = url.pathname === '/sse' ? 405 : 404;
+    res.end();
+  });
+}
+
+test('an HTTP+SSE-only server is introspected over its event stream', async t => {
+  const server = legacyServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.closeAllConnections());
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const mcp = await introspectMCP(`${base}/sse`, { allowPrivate: true, timeout: 2000 });
+  assert.equal(mcp.protocolVersion, '2024-11-05');
+  assert.equal(mcp.serverInfo.name, 'legacy');
+  assert.deepEqual(mcp.capabilities, ['tools']);
+  assert.deepEqual(mcp.tools.map(tool => tool.name), ['echo']);
+
+  await assert.rejects(introspectMCP(`${base}/gone`, { allowPrivate: true, timeout: 2000 }), { name: 'FetchError', status: 404 });
+});
+
+test('a stream that never answers times out', async t => {
+  const server = createServer((req, res) => {
+    if (req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      return res.write('event: endpoint\ndata: /messages\n\n');
+    }
+    res.statusCode = req.url === '/messages' ? 202 : 405;
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.closeAllConnections());
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  await assert.rejects(introspectMCP(`${base}/sse`, { allowPrivate: true, timeout: 500 }), { name: 'FetchError', reason: 'timeout' });
+});
+
+test('an endpoint event naming another origin is refused', async t => {
+  const server = createServer((req, res) => {
+    if (req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      return res.write('event: endpoint\ndata: http://example.com/messages\n\n');
+    }
+    res.statusCode = 405;
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.closeAllConnections());
+  t.after(() => server.close());
+
+  await assert.rejects(introspectMCP(`http://127.0.0.1:${server.address().port}/sse`, { allowPrivate: true, timeout: 2000 }), err => {
+    assert.ok(err instanceof MCPError);
+    assert.match(err.message, /another origin/);
+    return true;
+  });
+});
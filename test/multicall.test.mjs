@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HttpRequestError, RpcRequestError, TimeoutError, ContractFunctionExecutionError, ContractFunctionRevertedError, ContractFunctionZeroDataError } from 'viem';
+import { isBatchLimitError, isUnavailableError } from '../lib/multicall.js';
+
+const rpcError = message => new RpcRequestError({ body: {}, url: 'http://rpc', error: { code: -32000, message } });
+
+test('only size, gas and response limits count as a batch that is too big', () => {
+  for (const err of [
+    rpcError('out of gas'),
+    rpcError('gas required exceeds allowance (550000000)'),
+    rpcError('response size exceeded'),
+    new HttpRequestError({ url: 'http://rpc', status: 413, details: 'Payload Too Large' })
+  ]) {
+    assert.equal(isBatchLimitError(err), true, err.message);
+  }
+  for (const err of [
+    new TimeoutError({ body: {}, url: 'http://rpc' }),
+    new HttpRequestError({ url: 'http://rpc', status: 429, details: 'Too Many Requests' }),
+    new HttpRequestError({ url: 'http://rpc', status: 503, details: 'Service Unavailable' }),
+    rpcError('daily request limit exceeded'),
+    new Error('Every Ethereum RPC circuit is open for another 30s')
+  ]) {
+    assert.equal(isBatchLimitError(err), false, err.message);
+  }
+});
+
+test('a call that returns no data means no Multicall3 at the address', () => {
+  const err = new ContractFunctionExecutionError(new ContractFunctionZeroDataError({ functionName: 'aggregate3' }), {
+    abi: [], functionName: 'aggregate3', contractAddress: '0xcA11bde05977b3631167028862bE2a173976CA11'
+  });
+  assert.equal(isUnavailableError(err), true);
+  assert.equal(isUnavailableError(new TimeoutError({ body: {}, url: 'http://rpc' })), false);
+
+  // An internal error comes back from viem as a revert without data
+  const internal = new ContractFunctionExecutionError(new ContractFunctionRevertedError({ abi: [], functionName: 'aggregate3', message: 'upstream timeout' }), {
+    abi: [], functionName: 'aggregate3', contractAddress: '0xcA11bde05977b3631167028862bE2a173976CA11'
+  });
+  assert.equal(isUnavailableError(internal), false);
+});
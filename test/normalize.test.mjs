@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeMetadata } from '../lib/normalize.js';
+
+const CHECKSUMMED = '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432';
+const BAD_CHECKSUM = '0x8004a169FB4a3325136EB29fA0ceB6D2e539a432';
+
+test('a wallet is checksummed the same at the top level and in services', () => {
+  const top = normalizeMetadata({ agentWallet: CHECKSUMMED.toLowerCase() });
+  const service = normalizeMetadata({ services: [{ type: 'wallet', url: CHECKSUMMED.toLowerCase() }] });
+  assert.equal(top.metadata.agentWallet, CHECKSUMMED);
+  assert.equal(service.metadata.agentWallet, CHECKSUMMED);
+  assert.equal(service.sources.agentWallet, 'services[0].url');
+  assert.deepEqual(service.metadata.services, []);
+
+  const caip10 = normalizeMetadata({ services: [{ name: 'agentWallet', endpoint: `eip155:8453:${CHECKSUMMED.toLowerCase()}` }] });
+  assert.equal(caip10.metadata.agentWallet, `eip155:8453:${CHECKSUMMED}`);
+  assert.equal(normalizeMetadata({ wallet: { address: CHECKSUMMED } }).metadata.agentWallet, CHECKSUMMED);
+});
+
+test('a wallet that fails its checksum is left out in both places', () => {
+  assert.equal(normalizeMetadata({ agentWallet: BAD_CHECKSUM }).metadata.agentWallet, undefined);
+  assert.equal(normalizeMetadata({ services: [{ name: 'agentWallet', endpoint: BAD_CHECKSUM }] }).metadata.agentWallet, undefined);
+  assert.equal(normalizeMetadata({ agentWallet: 'not a wallet' }).metadata.agentWallet, undefined);
+
+  // The next spelling is tried, then services
+  const fallback = normalizeMetadata({ agentWallet: BAD_CHECKSUM, services: [{ name: 'agentWallet', endpoint: CHECKSUMMED }] });
+  assert.equal(fallback.metadata.agentWallet, CHECKSUMMED);
+  assert.equal(fallback.sources.agentWallet, 'services[0].endpoint');
+});
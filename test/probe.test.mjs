@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { isProbeable, endpointHost, probeService, updateHealth } from '../lib/probe.js';
+
+async function listen(handler) {
+  const server = createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('probes a local stub and folds the results into health', async t => {
+  let webStatus = 200;
+  const { server, base } = await listen((req, res) => {
+    if (req.url === '/.well-known/agent-card.json') {
+      res.setHeader('Content-Type', 'application/json');
+      return res.end('{"name":"stub"}');
+    }
+    if (req.url === '/mcp' && req.method === 'POST') {
+      res.statusCode = 401;
+      return res.end();
+    }
+    if (req.url === '/page') {
+      res.statusCode = webStatus;
+      return res.end('ok');
+    }
+    res.statusCode = 404;
+    res.end();
+  });
+  t.after(() => server.close());
+
+  const web = { name: 'web', endpoint: `${base}/page` };
+  const a2a = { name: 'A2A', endpoint: base };
+  const mcp = { name: 'MCP', endpoint: `${base}/mcp` };
+  const probe = service => probeService(service, { timeout: 2000, allowPrivate: true });
+
+  const first = await Promise.all([web, a2a, mcp].map(async service => ({ service, result: await probe(service) })));
+  assert.deepEqual(first.map(r => [r.result.up, r.result.status]), [[true, 200], [true, 200], [true, 401]]);
+
+  let health = updateHealth(null, first, 28);
+  assert.equal(health.live, true);
+  assert.equal(health.uptime, 100);
+
+  webStatus = 503;
+  const down = await probe(web);
+  assert.equal(down.up, false);
+  assert.equal(down.status, 503);
+  assert.equal(down.error, 'http_status');
+
+  health = updateHealth(health, [{ service: web, result: down }], 28);
+  assert.equal(health.live, false);
+  assert.equal(health.endpoints.length, 1);
+  assert.equal(health.endpoints[0].uptime, 50);
+  assert.equal(health.lastSeenUp, first[0].result.at);
+});
+
+test('an endpoint nothing listens on is down', async () => {
+  const { server, base } = await listen(() => {});
+  await new Promise(resolve => server.close(resolve));
+
+  const result = await probeService({ name: 'web', endpoint: base }, { timeout: 2000, allowPrivate: true });
+  assert.equal(result.up, false);
+  assert.equal(result.status, null);
+});
+
+test('private endpoints are refused unless allowed', async t => {
+  const { server, base } = await listen((req, res) => res.end('ok'));
+  t.after(() => server.close());
+
+  const result = await probeService({ name: 'web', endpoint: base }, { timeout: 2000 });
+  assert.equal(result.up, false);
+  assert.equal(result.error, 'blocked_address');
+});
+
+test('an HTTP+SSE-only MCP server is up', async t => {
+  const { server, base } = await listen((req, res) => {
+    if (req.url === '/sse' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      return res.write('event: endpoint\ndata: /messages\n\n');
+    }
+    res.statusCode = req.url === '/sse' ? 405 : 404;
+    res.end();
+  });
+  t.after(() => server.closeAllConnections());
+  t.after(() => server.close());
+
+  const sse = await probeService({ name: 'MCP', endpoint: `${base}/sse` }, { timeout: 2000, allowPrivate: true });
+  assert.equal(sse.up, true);
+  assert.equal(sse.status, 405);
+  assert.equal(sse.error, null);
+
+  const missing = await probeService({ name: 'MCP', endpoint: `${base}/gone` }, { timeout: 2000, allowPrivate: true });
+  assert.equal(missing.up, false);
+  assert.equal(missing.error, 'http_status');
+});
+
+test('malformed endpoints are recorded as bad_url', async () => {
+  for (const endpoint of ['https://exa mple.com/', 'https://', 'http://[::1']) {
+    const service = { name: 'web', endpoint };
+    assert.equal(isProbeable(service), true, endpoint);
+    assert.equal(endpointHost(endpoint), null, endpoint);
+    const result = await probeService(service, { timeout: 2000 });
+    assert.equal(result.up, false, endpoint);
+    assert.equal(result.error, 'bad_url', endpoint);
+  }
+  assert.equal(endpointHost('https://API.example.com:8443/mcp'), 'api.example.com:8443');
+});
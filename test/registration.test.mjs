@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRegistration, checkBackReferences, REGISTRATION_TYPE } from '../lib/registration.js';
+
+const REGISTRY = '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432';
+
+function registration(overrides = {}) {
+  return {
+    type: REGISTRATION_TYPE,
+    name: 'Agent',
+    description: 'Does things',
+    image: 'https://example.com/agent.png',
+    services: [
+      { name: 'web', endpoint: 'https://example.com' },
+      { name: 'MCP', endpoint: 'https://example.com/mcp', version: '2025-06-18' }
+    ],
+    registrations: [{ agentId: 500, agentRegistry: `eip155:8453:${REGISTRY}` }],
+    supportedTrust: ['reputation'],
+    ...overrides
+  };
+}
+
+const codes = result => result.issues.map(i => i.code).sort();
+
+test('a complete registration is compliant', () => {
+  assert.deepEqual(validateRegistration(registration()), { level: 'compliant', issues: [] });
+});
+
+test('missing recommended fields only make it partial', () => {
+  const { image, registrations, ...rest } = registration();
+  const result = validateRegistration(rest);
+  assert.equal(result.level, 'partial');
+  assert.deepEqual(codes(result), ['image_missing', 'registrations_missing']);
+  assert.ok(result.issues.every(i => i.severity === 'warning'));
+});
+
+test('missing required fields make it non_compliant', () => {
+  const result = validateRegistration({ name: 'Agent', services: [{ name: 'A2A' }] });
+  assert.equal(result.level, 'non_compliant');
+  assert.deepEqual(codes(result), ['description_missing', 'image_missing', 'registrations_missing', 'service_endpoint_missing', 'type_missing']);
+  assert.deepEqual(result.issues.find(i => i.code === 'service_endpoint_missing').path, 'services[0].endpoint');
+});
+
+test('fields of the wrong type are reported where they are', () => {
+  const result = validateRegistration(registration({
+    image: 42,
+    services: { web: 'https://example.com' },
+    registrations: [{ agentId: 'five', agentRegistry: REGISTRY }],
+    supportedTrust: 'reputation',
+    active: 'yes'
+  }));
+  assert.equal(result.level, 'non_compliant');
+  assert.deepEqual(codes(result), ['active_type', 'image_type', 'registration_agent_id', 'registration_registry', 'services_type', 'supported_trust_type']);
+  assert.equal(result.issues.find(i => i.code === 'registration_registry').path, 'registrations[0].agentRegistry');
+});
+
+test('draft spellings are warnings, unknown types and bad endpoints errors', () => {
+  const draft = validateRegistration(registration({ type: REGISTRATION_TYPE.replace(/-v1$/, ''), services: undefined, endpoints: [] }));
+  assert.equal(draft.level, 'partial');
+  assert.deepEqual(codes(draft), ['services_legacy_key', 'type_variant']);
+
+  const wrong = validateRegistration(registration({ type: 'agent', services: [{ name: 'MCP', endpoint: 'localhost:3000' }] }));
+  assert.equal(wrong.level, 'non_compliant');
+  assert.deepEqual(codes(wrong), ['service_endpoint_url', 'type_unknown']);
+});
+
+test('things that are not registrations are invalid', () => {
+  for (const metadata of [null, [], {}, { ciphertext: 'x', iv: 'y' }, { name: 'pkg', dependencies: {} }, { foo: 1 }]) {
+    const result = validateRegistration(metadata);
+    assert.equal(result.level, 'invalid', JSON.stringify(metadata));
+    assert.deepEqual(codes(result), ['not_a_registration']);
+  }
+});
+
+test('a back-reference naming this token verifies it', () => {
+  const token = { chainId: 8453, registry: REGISTRY, tokenId: 500 };
+  const result = checkBackReferences([
+    { agentId: 7, agentRegistry: `eip155:8453:${REGISTRY}` },
+    { agentId: '500', agentRegistry: `eip155:8453:${REGISTRY.toLowerCase()}` }
+  ], token);
+  assert.equal(result.status, 'verified');
+  assert.deepEqual(result.entries.map(e => e.result), ['agent_id', 'match']);
+
+  // Early files named the chain and registry separately
+  const legacy = checkBackReferences([{ agentId: 500, chainId: '8453', registryAddress: REGISTRY }], token);
+  assert.equal(legacy.status, 'verified');
+});
+
+test('back-references naming only other tokens are mismatched', () => {
+  const token = { chainId: 8453, registry: REGISTRY, tokenId: 500 };
+  const result = checkBackReferences([
+    { agentId: 501, agentRegistry: `eip155:8453:${REGISTRY}` },
+    { agentId: 500, agentRegistry: `eip155:1:${REGISTRY}` },
+    { agentId: 500, agentRegistry: 'eip155:8453:0x0000000000000000000000000000000000000001' }
+  ], token);
+  assert.equal(result.status, 'mismatched');
+  assert.deepEqual(result.entries.map(e => e.result), ['agent_id', 'other_chain', 'registry']);
+});
+
+test('no usable back-reference is missing', () => {
+  const token = { chainId: 8453, registry: REGISTRY, tokenId: 500 };
+  assert.deepEqual(checkBackReferences(undefined, token), { status: 'missing', entries: [] });
+  assert.deepEqual(checkBackReferences([], token), { status: 'missing', entries: [] });
+  const result = checkBackReferences(['eip155:8453', { agentRegistry: `eip155:8453:${REGISTRY}` }], token);
+  assert.equal(result.status, 'missing');
+  assert.deepEqual(result.entries.map(e => e.result), ['malformed', 'no_agent_id']);
+});
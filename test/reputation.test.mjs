@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { feedbackFromLog, feedbackKey, summarizeReputation, RECENT_WINDOW } from '../lib/reputation.js';
+
+const ALICE = '0x00000000000000000000000000000000000A11CE';
+const BOB = '0x0000000000000000000000000000000000000B0B';
+
+function feedback(score, blockNumber, { client = ALICE, revoked = false } = {}) {
+  return { client, score, blockNumber, revoked };
+}
+
+test('a NewFeedback log becomes a feedback entry with a fixed-point score', () => {
+  const entry = feedbackFromLog({
+    args: { clientAddress: ALICE, feedbackIndex: 3n, value: 8750n, valueDecimals: 2, tag1: 'quality', feedbackURI: 'ipfs://x', feedbackHash: '0x01' },
+    blockNumber: 100n,
+    transactionHash: '0xabc'
+  });
+  assert.equal(entry.score, 87.5);
+  assert.equal(entry.value, '8750');
+  assert.equal(entry.feedbackIndex, 3);
+  assert.equal(entry.blockNumber, 100);
+  assert.deepEqual([entry.tag1, entry.tag2, entry.endpoint, entry.feedbackUri], ['quality', '', '', 'ipfs://x']);
+  assert.equal(entry.revoked, false);
+  assert.equal(feedbackKey(ALICE, 3), feedbackKey(ALICE.toLowerCase(), 3));
+});
+
+test('no feedback summarizes to nulls', () => {
+  assert.deepEqual(summarizeReputation([]), { count: 0, revoked: 0, clients: 0, meanScore: null, recentMeanScore: null, trend: null });
+});
+
+test('revoked entries are counted but not scored', () => {
+  const summary = summarizeReputation([
+    feedback(80, 1),
+    feedback(0, 2, { revoked: true }),
+    feedback(60, 3, { client: BOB }),
+    feedback(10, 4, { client: BOB.toLowerCase(), revoked: true })
+  ]);
+  assert.equal(summary.count, 2);
+  assert.equal(summary.revoked, 2);
+  assert.equal(summary.clients, 2);
+  assert.equal(summary.meanScore, 70);
+  assert.equal(summary.recentMeanScore, 70);
+  assert.equal(summary.trend, null);
+});
+
+test('trend compares the recent window with everything before it, in block order', () => {
+  // Five early entries at 40, then a full window at 90, given out of order
+  const entries = [
+    ...Array.from({ length: RECENT_WINDOW }, (_, i) => feedback(90, 100 + i)),
+    ...Array.from({ length: 5 }, (_, i) => feedback(40, i)),
+    feedback(0, 50, { revoked: true })
+  ];
+  const summary = summarizeReputation(entries);
+  assert.equal(summary.count, RECENT_WINDOW + 5);
+  assert.equal(summary.recentMeanScore, 90);
+  assert.equal(summary.meanScore, Math.round((90 * RECENT_WINDOW + 40 * 5) / (RECENT_WINDOW + 5) * 100) / 100);
+  assert.equal(summary.trend, 50);
+
+  const declining = summarizeReputation([feedback(100, 0), ...Array.from({ length: RECENT_WINDOW }, (_, i) => feedback(70.5, i + 1))]);
+  assert.equal(declining.trend, -29.5);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createProviderPool, isRangeError, PoolExhaustedError } from '../lib/rpc-pool.js';
+
+const chain = { chainId: 31337, name: 'Stub' };
+
+async function stubRpc(t, handler) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const message = JSON.parse(body);
+      requests.push(message);
+      handler(message, res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+test('a call fails fast with every circuit open instead of hitting an open provider', async t => {
+  const { url, requests } = await stubRpc(t, (message, res) => {
+    res.statusCode = 429;
+    res.end('Too Many Requests');
+  });
+  const pool = createProviderPool(chain, { env: { RPC_URLS_31337: url }, maxWait: 0 });
+
+  await assert.rejects(pool.call(client => client.getBlockNumber()), PoolExhaustedError);
+  assert.equal(requests.length, 1);
+  assert.equal(pool.stats()[0].state, 'open');
+
+  await assert.rejects(pool.call(client => client.getBlockNumber()), PoolExhaustedError);
+  assert.equal(requests.length, 1);
+});
+
+test('a spent budget exhausts the pool', async t => {
+  const { url } = await stubRpc(t, (message, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: '0x10' }));
+  });
+  const pool = createProviderPool(chain, { env: { RPC_URLS_31337: url }, budget: 1 });
+
+  assert.equal(await pool.call(client => client.getBlockNumber()), 16n);
+  await assert.rejects(pool.call(client => client.getBlockNumber()), PoolExhaustedError);
+});
+
+test('a quota "limit exceeded" fails over and opens the circuit', async t => {
+  const quota = await stubRpc(t, (message, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, error: { code: -32005, message: 'daily request limit exceeded' } }));
+  });
+  const healthy = await stubRpc(t, (message, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: '0x10' }));
+  });
+  const pool = createProviderPool(chain, {
+    env: { RPC_URLS_31337: `${quota.url},${healthy.url}` },
+    isCallerError: isRangeError
+  });
+
+  assert.equal(await pool.call(client => client.getBlockNumber()), 16n);
+  const [limited, fallback] = pool.stats();
+  assert.equal(limited.errors, 1);
+  assert.equal(limited.state, 'open');
+  assert.equal(fallback.requests, 1);
+});
+
+test('only block-range and result-count errors are range errors', () => {
+  for (const message of ['query returned more than 10000 results', 'block range is too wide', 'exceed maximum block range: 2000']) {
+    assert.equal(isRangeError(new Error(message)), true, message);
+  }
+  for (const message of ['daily request limit exceeded', 'response size exceeds your plan limit', 'compute units exceeded']) {
+    assert.equal(isRangeError(new Error(message)), false, message);
+  }
+});
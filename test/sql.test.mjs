@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sqlValue, bind, agentRows, writeStatements, MAX_STATEMENT_LENGTH } from '../lib/storage/sql.js';
+
+const OWNER = '0x00000000000000000000000000000000000A11CE';
+
+function record(overrides = {}) {
+  return {
+    agentId: '8453:500',
+    chainId: 8453,
+    chain: 'base',
+    id: 500,
+    owner: OWNER,
+    name: 'Agent',
+    description: 'Does things',
+    uri: 'ipfs://agent',
+    rawMetadata: { type: 'https://eips.ethereum.org/EIPS/eip-8004#registration-v1', name: 'Agent' },
+    ownerHistory: [{ blockNumber: 10, logIndex: 0, txHash: '0x01', from: '0x0000000000000000000000000000000000000000', to: OWNER }],
+    feedback: [{ client: OWNER, feedbackIndex: 1, value: 90n, valueDecimals: 0, score: 90, blockNumber: 11, txHash: '0x02' }],
+    reputation: { count: 1, revoked: 0, clients: 1, meanScore: 90, recentMeanScore: 90, trend: null },
+    ...overrides
+  };
+}
+
+test('values become literals with quotes doubled and control characters in hex', () => {
+  assert.equal(sqlValue(null), 'NULL');
+  assert.equal(sqlValue(undefined), 'NULL');
+  assert.equal(sqlValue(true), '1');
+  assert.equal(sqlValue(NaN), 'NULL');
+  assert.equal(sqlValue(1.5), '1.5');
+  assert.equal(sqlValue(12n), "'12'");
+  assert.equal(sqlValue("O'Brien's ?"), "'O''Brien''s ?'");
+  assert.equal(sqlValue('a\x00b'), "CAST(X'610062' AS TEXT)");
+  assert.equal(sqlValue('line\nbreak\ttab'), "'line\nbreak\ttab'");
+});
+
+test('bind fills placeholders in order and leaves ? inside values alone', () => {
+  assert.equal(
+    bind({ sql: 'INSERT INTO t (a, b, c) VALUES (?, ?, ?)', params: ['what?', null, 3] }),
+    "INSERT INTO t (a, b, c) VALUES ('what?', NULL, 3)"
+  );
+  assert.equal(bind({ sql: 'DELETE FROM t' }), 'DELETE FROM t');
+  assert.throws(() => bind({ sql: 'SELECT ?, ?', params: [1] }), /1 params for 2 placeholders/);
+  assert.throws(() => bind({ sql: 'SELECT ?', params: [1, 2] }), /2 params for 1 placeholders/);
+});
+
+test('agentRows maps a record and hashes everything but the timestamps', () => {
+  const { row, children } = agentRows(record(), 1000);
+  assert.equal(row.id, '8453:500');
+  assert.equal(row.token_id, '500');
+  assert.equal(row.removed, false);
+  assert.equal(JSON.parse(row.metadata_json).name, 'Agent');
+  assert.deepEqual([row.created_at, row.updated_at], [1000, 1000]);
+  assert.equal(children.agent_transfers.length, 1);
+  assert.equal(children.feedback[0].value, '90');
+  assert.equal(children.agent_reputation[0].mean_score, 90);
+  assert.deepEqual(children.validations, []);
+  assert.deepEqual(children.agent_validation, []);
+
+  assert.equal(agentRows(record(), 2000).row.content_hash, row.content_hash);
+  assert.notEqual(agentRows(record({ name: 'Renamed' }), 1000).row.content_hash, row.content_hash);
+  assert.notEqual(agentRows(record({ feedback: [] }), 1000).row.content_hash, row.content_hash);
+});
+
+test('agentRows skips ownerless records and marks burned ones removed', () => {
+  assert.equal(agentRows(record({ owner: undefined, ownerHistory: [] })), null);
+  const burned = agentRows(record({ owner: '0x0000000000000000000000000000000000000000' }));
+  assert.equal(burned.row.removed, true);
+  // An error record falls back to the last transfer for its owner
+  assert.equal(agentRows(record({ owner: undefined, rawMetadata: undefined })).row.owner, OWNER);
+});
+
+test('writeStatements upserts agents, replaces children and deletes removed IDs', () => {
+  const statements = writeStatements([agentRows(record(), 1000)], ['8453:7']);
+  const sql = statements.map(s => s.sql);
+
+  const upsert = statements[0];
+  assert.match(upsert.sql, /^INSERT INTO agents \(.+\) VALUES \(.+\) ON CONFLICT\(id\) DO UPDATE SET /);
+  assert.doesNotMatch(upsert.sql, /created_at = excluded/);
+  assert.match(upsert.sql, /updated_at = excluded\.updated_at/);
+
+  // Children are cleared before they are inserted again
+  const clear = sql.indexOf('DELETE FROM feedback WHERE agent_id IN (?)');
+  const insert = sql.findIndex(s => s.startsWith('INSERT OR REPLACE INTO feedback '));
+  assert.ok(clear > 0 && insert > clear);
+
+  const gone = statements.filter(s => s.params[0] === '8453:7').map(s => s.sql);
+  assert.equal(gone.at(-1), 'DELETE FROM agents WHERE id IN (?)');
+  assert.ok(gone.includes('DELETE FROM agent_transfers WHERE agent_id IN (?)'));
+
+  for (const statement of statements) assert.doesNotThrow(() => bind(statement));
+  assert.deepEqual(writeStatements([], []), []);
+});
+
+test('rows are split across statements by their bound size in UTF-8 bytes', () => {
+  // 10 KB of three-byte characters is 30 KB once bound: three rows to a
+  // statement, where counting characters would have let nine through
+  const agents = Array.from({ length: 10 }, (_, i) => agentRows(record({
+    agentId: `8453:${i}`,
+    id: i,
+    description: '€'.repeat(1000),
+    rawMetadata: { name: 'Agent', notes: '€'.repeat(10 * 1024) }
+  }), 1000));
+
+  const inserts = writeStatements(agents).filter(s => s.sql.startsWith('INSERT INTO agents '));
+  assert.ok(inserts.length >= 4, `${inserts.length} statements`);
+  assert.equal(inserts.reduce((sum, s) => sum + s.sql.split('), (').length, 0), 10);
+  for (const statement of inserts) {
+    assert.ok(Buffer.byteLength(bind(statement), 'utf8') <= MAX_STATEMENT_LENGTH);
+  }
+
+  // Quotes are doubled once bound, so they count twice
+  const quoted = Array.from({ length: 4 }, (_, i) => agentRows(record({ agentId: `8453:${i}`, id: i, rawMetadata: { q: "'".repeat(15 * 1024) } }), 1000));
+  for (const statement of writeStatements(quoted).filter(s => s.sql.startsWith('INSERT INTO agents '))) {
+    assert.ok(Buffer.byteLength(bind(statement), 'utf8') <= MAX_STATEMENT_LENGTH);
+  }
+});
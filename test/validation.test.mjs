@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyValidationLog, summarizeValidation, PASS_THRESHOLD } from '../lib/validation.js';
+
+const VALIDATOR = '0x000000000000000000000000000000000000A11D';
+const OTHER = '0x0000000000000000000000000000000000000B0B';
+
+function request(requestHash, blockNumber, validator = VALIDATOR) {
+  return {
+    eventName: 'ValidationRequest',
+    args: { requestHash, validatorAddress: validator, agentId: 1n, requestURI: `ipfs://${requestHash}` },
+    blockNumber: BigInt(blockNumber),
+    transactionHash: `0x${blockNumber}`
+  };
+}
+
+function response(requestHash, blockNumber, value, validator = VALIDATOR) {
+  return {
+    eventName: 'ValidationResponse',
+    args: { requestHash, validatorAddress: validator, agentId: 1n, response: value, responseURI: '', responseHash: '0x00', tag: 'audit' },
+    blockNumber: BigInt(blockNumber),
+    transactionHash: `0x${blockNumber}`
+  };
+}
+
+function fold(logs) {
+  const records = new Map();
+  for (const log of logs) applyValidationLog(records, log);
+  return [...records.values()];
+}
+
+test('status moves from none to pending to passed or failed', () => {
+  assert.equal(summarizeValidation([]).status, 'none');
+
+  const pending = summarizeValidation(fold([request('0xa', 1)]));
+  assert.deepEqual([pending.status, pending.requests, pending.pending, pending.latestResponse], ['pending', 1, 1, null]);
+
+  const passed = summarizeValidation(fold([request('0xa', 1), response('0xa', 2, PASS_THRESHOLD)]));
+  assert.deepEqual([passed.status, passed.responded, passed.pending, passed.latestResponse], ['passed', 1, 0, PASS_THRESHOLD]);
+
+  const failed = summarizeValidation(fold([request('0xa', 1), response('0xa', 2, PASS_THRESHOLD - 1)]));
+  assert.equal(failed.status, 'failed');
+});
+
+test('the most recent response decides, across requests and validators', () => {
+  const records = fold([
+    request('0xa', 1),
+    request('0xb', 2, OTHER),
+    response('0xb', 5, 20, OTHER),
+    response('0xa', 4, 95),
+    request('0xc', 6)
+  ]);
+  const summary = summarizeValidation(records);
+  assert.equal(summary.status, 'failed');
+  assert.deepEqual([summary.requests, summary.responded, summary.pending, summary.validators], [3, 2, 1, 2]);
+  assert.equal(summary.meanResponse, 57.5);
+  assert.equal(summary.latestResponse, 20);
+});
+
+test('a later response replaces an earlier one, a replayed older one does not', () => {
+  const [record] = fold([request('0xa', 1), response('0xa', 3, 30), response('0xa', 7, 80), response('0xa', 5, 10)]);
+  assert.equal(record.response, 80);
+  assert.deepEqual(record.respondedAt, { blockNumber: 7, txHash: '0x7' });
+  assert.equal(record.requestUri, 'ipfs://0xa');
+  assert.equal(summarizeValidation([record]).status, 'passed');
+});
+
+test('a response to a request outside the scanned range still counts', () => {
+  const [record] = fold([response('0xa', 9, 70)]);
+  assert.equal(record.requestedAt, null);
+  assert.equal(record.requestUri, null);
+  assert.equal(summarizeValidation([record]).status, 'passed');
+});